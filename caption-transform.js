@@ -0,0 +1,162 @@
+/**
+ * Caption Transform
+ * Turns an incoming Telegram message text into the caption we post
+ *
+ * Steps, in order:
+ *   1. Telegram entities -> plain text (text links become "text (url)",
+ *      mentions and bot commands are dropped)
+ *   2. control hashtags (#now, #skip, ...) are read as flags and removed
+ *   3. whitespace is tidied
+ *   4. a text post that is nothing but its link loses the text (the link
+ *      card shows it; see links.js)
+ *   5. header/footer templates and default hashtags are added
+ *
+ * settings.caption:
+ *   strip_mentions     drop @mentions and bot commands (default true)
+ *   control_hashtags   hashtags that steer the bot and never get posted
+ *   header, footer     templates; {source}, {date}, {time} and {author}
+ *                      are filled in, date/time in schedule.timezone
+ *   default_hashtags   appended when not already in the text
+ *   sources            per-source overrides, keyed by source name or chat id
+ */
+
+const { getZonedParts } = require('./scheduler.js');
+const { getLinkSettings, extractPrimaryUrl, isValidLink } = require('./links.js');
+
+const DEFAULT_CAPTION = {
+  strip_mentions: true,
+  control_hashtags: ['#now', '#force', '#skip', '#draft', '#ignore'],
+  header: '',
+  footer: '',
+  default_hashtags: []
+};
+
+// Effective caption settings for a source: defaults < global < per-source
+function getCaptionSettings(settings, source, sourceId) {
+  const { sources = {}, ...global } = settings?.caption || {};
+  const override = (source && sources[source]) || (sourceId && sources[sourceId]) || {};
+  return { ...DEFAULT_CAPTION, ...global, ...override };
+}
+
+/**
+ * Convert Telegram message entities into plain text.
+ * Offsets are in UTF-16 code units, which is what JS strings index by.
+ * Formatting entities (bold, italic, ...) simply lose their formatting.
+ */
+function entitiesToText(text, entities = [], { stripMentions = true } = {}) {
+  const replacing = entities
+    .filter(e => e.type === 'text_link' || (stripMentions && (e.type === 'mention' || e.type === 'bot_command')))
+    .sort((a, b) => a.offset - b.offset);
+
+  let result = '';
+  let cursor = 0;
+  for (const entity of replacing) {
+    if (entity.offset < cursor) continue;
+    const inner = text.slice(entity.offset, entity.offset + entity.length);
+    result += text.slice(cursor, entity.offset);
+    if (entity.type === 'text_link') {
+      result += inner.trim() === entity.url ? inner : `${inner} (${entity.url})`;
+    }
+    cursor = entity.offset + entity.length;
+  }
+  return result + text.slice(cursor);
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function controlTagRegex(tag) {
+  return new RegExp(`(^|\\s)${escapeRegex(tag)}(?![\\p{L}\\p{N}_])`, 'giu');
+}
+
+function tidyWhitespace(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function renderTemplate(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+}
+
+function templateVars(content, settings, now) {
+  const p = getZonedParts(now, settings?.schedule?.timezone || 'Asia/Bangkok');
+  const pad = n => String(n).padStart(2, '0');
+  return {
+    source: content.source || '',
+    author: content.author || '',
+    date: `${p.year}-${pad(p.month)}-${pad(p.day)}`,
+    time: `${pad(p.hour)}:${pad(p.minute)}`
+  };
+}
+
+// Name to show for whoever wrote a Telegram message
+function getMessageAuthor(message) {
+  if (message.author_signature) return message.author_signature;
+  const from = message.from;
+  if (!from) return message.sender_chat?.title || '';
+  return [from.first_name, from.last_name].filter(Boolean).join(' ') || from.username || '';
+}
+
+/**
+ * Transform incoming content into the caption to post.
+ * @param {Object} content - { source, sourceId, text, entities, author, mediaType }
+ * @param {Object} settings - config.settings
+ * @param {number} [now] - epoch ms used for {date} and {time}
+ * @returns {Object} { text, postNow, controlTags, link } with the primary URL of a text post, untagged
+ */
+function transformCaption(content, settings, now = Date.now()) {
+  const caption = getCaptionSettings(settings, content.source, content.sourceId);
+  const isTextPost = !content.mediaType || content.mediaType === 'text';
+  const detected = isTextPost && getLinkSettings(settings, content.source, content.sourceId).enabled
+    ? extractPrimaryUrl(content.text || '', content.entities || [])
+    : null;
+  // Nobody asked for a preview of a URL Facebook won't take (e.g. an intranet host); it stays text
+  const found = detected && isValidLink(detected.url) ? detected : null;
+  let text = entitiesToText(content.text || '', content.entities || [], { stripMentions: caption.strip_mentions });
+
+  const controlTags = [];
+  for (const tag of caption.control_hashtags) {
+    const regex = controlTagRegex(tag);
+    if (regex.test(text)) {
+      controlTags.push(tag.toLowerCase());
+      text = text.replace(regex, '$1');
+    }
+  }
+
+  let body = tidyWhitespace(text);
+  if (found && (body === found.text || body === found.url)) body = '';
+
+  // A text post with nothing left is rejected by validation; don't dress it up
+  if (body || found || !isTextPost) {
+    const vars = templateVars(content, settings, now);
+    const header = tidyWhitespace(renderTemplate(caption.header || '', vars));
+    const footer = tidyWhitespace(renderTemplate(caption.footer || '', vars));
+
+    const lowerBody = body.toLowerCase();
+    const hashtags = caption.default_hashtags
+      .map(tag => (tag.startsWith('#') ? tag : `#${tag}`))
+      .filter(tag => !controlTagRegex(tag).test(lowerBody));
+
+    body = [header, body, footer, hashtags.join(' ')].filter(Boolean).join('\n\n');
+  }
+
+  return {
+    text: body,
+    postNow: controlTags.includes('#now'),
+    controlTags,
+    link: found ? found.url : null
+  };
+}
+
+// Text without the control hashtags of its source, otherwise untouched
+function stripControlHashtags(text, settings, source, sourceId) {
+  const caption = getCaptionSettings(settings, source, sourceId);
+  return caption.control_hashtags.reduce((result, tag) => result.replace(controlTagRegex(tag), '$1'), text || '');
+}
+
+module.exports = { DEFAULT_CAPTION, getCaptionSettings, entitiesToText, getMessageAuthor, transformCaption, stripControlHashtags };
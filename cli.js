@@ -0,0 +1,695 @@
+#!/usr/bin/env node
+/**
+ * Queue Management CLI
+ * `node index.js <command>` (or `node cli.js <command>`)
+ *
+ * Every command takes --json to print machine-readable output instead of
+ * text. Exit codes: 0 success, 1 the command failed (nothing found, invalid
+ * config, API error, ...), 2 bad usage.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  loadConfig,
+  loadQueue,
+  logError,
+  addToQueue,
+  prepareContentMedia,
+  schedulePosts,
+  processScheduledPosts,
+  rescheduleItem,
+  cancelItem,
+  retryItem,
+  requeueDead,
+  editItem,
+  removeItem,
+  purgePosted,
+  validateConfig,
+  checkTokens,
+  exchangeToken,
+  getHealthStatus,
+  startHealthServer
+} = require('./index.js');
+const { getDestinations, getDestinationSettings } = require('./destinations.js');
+const { parseTimeInput, formatTimeInZone } = require('./scheduler.js');
+const { DIMENSIONS, collectInsights, buildReport } = require('./insights.js');
+const { formatMediaInfo } = require('./media-inspect.js');
+const { runWithLogContext, logToStderr } = require('./logger.js');
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const BOOLEAN_FLAGS = new Set(['json', 'help', 'suggest']);
+const DEFAULT_LIST_STATUSES = ['pending', 'failed', 'handed_off', 'awaiting_approval'];
+const IMPORTABLE_STATUSES = ['pending', 'failed', 'awaiting_approval'];
+const CSV_COLUMNS = ['id', 'status', 'source', 'sourceId', 'mediaType', 'mediaUrl', 'link', 'scheduledFor', 'postedAt', 'destinations', 'text', 'originalText'];
+const REPORT_CSV_COLUMNS = ['dimension', 'group', 'posts', 'avgReactions', 'avgComments', 'avgShares', 'avgEngagement', 'avgReach', 'engagementRate'];
+const SNIPPET_LENGTH = 50;
+
+class UsageError extends Error {}
+
+// ["list", "--status", "dead", "--json"] -> { positional: ["list"], flags: { status: "dead", json: true } }
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf('=');
+    const name = arg.slice(2, eq === -1 ? undefined : eq);
+    if (eq !== -1) {
+      flags[name] = arg.slice(eq + 1);
+    } else if (BOOLEAN_FLAGS.has(name) || i + 1 >= argv.length || argv[i + 1].startsWith('--')) {
+      flags[name] = true;
+    } else {
+      flags[name] = argv[++i];
+    }
+  }
+  return { positional, flags };
+}
+
+function getTimeZone(config) {
+  return config.settings.schedule?.timezone || 'Asia/Bangkok';
+}
+
+// A time flag as ISO; a bare date given to an "until" flag means the end of that day
+function timeFlag(value, name, config, { endOfDay = false } = {}) {
+  if (value === undefined) return null;
+  if (value === true) throw new UsageError(`--${name} needs a time`);
+  let ms = parseTimeInput(value, getTimeZone(config));
+  if (ms === null) throw new UsageError(`Cannot parse --${name} "${value}" (use YYYY-MM-DD, YYYY-MM-DD HH:MM, HH:MM or ISO 8601)`);
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value.trim())) {
+    const [year, month, day] = value.trim().split('-').map(Number);
+    ms = parseTimeInput(new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10), getTimeZone(config));
+  }
+  return new Date(ms).toISOString();
+}
+
+function allItems(queue) {
+  return [...queue.pending, ...(queue.awaiting || []), ...queue.posted, ...(queue.dead || [])];
+}
+
+// The time that matters for an item: when it posted, died, or is due
+function itemTime(item) {
+  return item.postedAt || item.deadAt || item.scheduledFor || item.addedAt;
+}
+
+function selectItems(flags, config, defaultStatuses) {
+  const statuses = flags.status ? String(flags.status).split(',') : defaultStatuses;
+  const from = timeFlag(flags.from, 'from', config);
+  const to = timeFlag(flags.to, 'to', config, { endOfDay: true });
+  const limit = flags.limit === undefined ? Infinity : Number(flags.limit);
+  if (Number.isNaN(limit) || limit < 0) throw new UsageError('--limit needs a number');
+
+  const items = allItems(loadQueue()).filter(item => {
+    if (statuses && !statuses.includes('all') && !statuses.includes(item.status)) return false;
+    if (flags.source && ![item.source, item.sourceId].map(String).includes(String(flags.source))) return false;
+    if (flags.destination && !Object.hasOwn(item.targets || {}, flags.destination)) return false;
+    if (from && itemTime(item) < from) return false;
+    if (to && itemTime(item) >= to) return false;
+    return true;
+  });
+  items.sort((a, b) => String(itemTime(a)).localeCompare(String(itemTime(b))));
+  return items.slice(0, limit);
+}
+
+function findItem(id) {
+  return allItems(loadQueue()).find(item => item.id === id) || null;
+}
+
+function snippet(text) {
+  const flat = (text || '').replace(/\s+/g, ' ');
+  return flat.length > SNIPPET_LENGTH ? `${flat.substring(0, SNIPPET_LENGTH)}…` : flat;
+}
+
+function formatItemLine(item, timeZone) {
+  const destinations = Object.entries(item.targets || {})
+    .map(([id, target]) => (target.status === item.status ? id : `${id}:${target.status}`))
+    .join(',');
+  return [
+    item.id,
+    item.status.padEnd(17),
+    formatTimeInZone(itemTime(item), timeZone),
+    (item.mediaType || 'text').padEnd(5),
+    item.source || '-',
+    `→ ${destinations || '-'}`,
+    snippet(item.text)
+  ].join('  ');
+}
+
+function formatItemDetails(item, timeZone) {
+  const lines = [
+    `ID:          ${item.id}`,
+    `Status:      ${item.status}`,
+    `Source:      ${item.source || '-'}${item.sourceId ? ` (${item.sourceId})` : ''}`,
+    `Added:       ${formatTimeInZone(item.addedAt, timeZone)}`,
+    `Scheduled:   ${formatTimeInZone(item.scheduledFor, timeZone)}${item.postNow ? ' (post now)' : ''}`,
+    `Media:       ${item.media ? `${item.media.length} photos` : item.mediaType || 'text'}${item.mediaUrl ? `  ${item.mediaUrl}` : ''}`
+  ];
+  if (item.mediaInfo) lines.push(`File:        ${formatMediaInfo(item.mediaInfo)}`);
+  (item.media || []).forEach((media, index) => {
+    if (media.mediaInfo) lines.push(`  Photo ${index + 1}:   ${formatMediaInfo(media.mediaInfo)}`);
+  });
+  if (item.link) lines.push(`Link:        ${item.link}`);
+  if (item.postedAt) lines.push(`Posted:      ${formatTimeInZone(item.postedAt, timeZone)}`);
+  if (item.deadAt) lines.push(`Dead:        ${formatTimeInZone(item.deadAt, timeZone)}  ${item.deadReason}`);
+  if (item.moderation?.decision) lines.push(`Moderation:  ${item.moderation.decision} by ${item.moderation.by?.name} at ${formatTimeInZone(item.moderation.at, timeZone)}`);
+  lines.push('Destinations:');
+  for (const [id, target] of Object.entries(item.targets || {})) {
+    const details = [
+      target.status,
+      target.scheduledFor && `at ${formatTimeInZone(target.scheduledFor, timeZone)}`,
+      target.attempts && `attempts=${target.attempts}`,
+      target.postId && `post ${target.postId}`,
+      target.error && `error: ${target.error}`
+    ].filter(Boolean).join('  ');
+    lines.push(`  ${id}: ${details}`);
+  }
+  lines.push('', item.text || '(no text)');
+  return lines.join('\n');
+}
+
+// RFC 4180 quoting
+function toCsvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvTable(columns, rows) {
+  return [columns.join(','), ...rows.map(row => columns.map(column => toCsvValue(row[column])).join(','))].join('\n') + '\n';
+}
+
+function toCsv(items) {
+  return toCsvTable(CSV_COLUMNS, items.map(item => ({ ...item, destinations: Object.keys(item.targets || {}).join(';') })));
+}
+
+function formatReport(report) {
+  const { totals } = report;
+  const describe = row => [
+    `posts=${row.posts}`,
+    `engagement=${row.avgEngagement}`,
+    `reactions=${row.avgReactions}`,
+    `comments=${row.avgComments}`,
+    `shares=${row.avgShares}`,
+    `reach=${row.avgReach ?? '-'}`,
+    `rate=${row.engagementRate === null ? '-' : `${row.engagementRate}%`}`
+  ].join('  ');
+
+  if (totals.posts === 0) return `No posts with ${report.window} insights yet (run: node index.js insights)`;
+  const lines = [`Engagement ${report.window} after posting, averages per post`, `All: ${describe(totals)}`];
+  for (const [dimension, rows] of Object.entries(report.breakdowns)) {
+    lines.push('', `By ${dimension}:`, ...rows.map(row => `  ${String(row.group).padEnd(16)} ${describe(row)}`));
+  }
+  if (report.suggestion) {
+    const { postTimes, current, minSamples } = report.suggestion;
+    lines.push('', postTimes.length > 0
+      ? `Suggested post_times: ${JSON.stringify(postTimes)} (now ${JSON.stringify(current)})`
+      : `Not enough data to suggest post_times (needs slots with ${minSamples}+ posts)`);
+  }
+  return lines.join('\n');
+}
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...body] = rows.filter(r => r.some(value => value !== ''));
+  if (!header) return [];
+  return body.map(values => Object.fromEntries(header.map((column, index) => [column.trim(), values[index] ?? ''])));
+}
+
+function getFormat(flags, file) {
+  const format = flags.format || (file && path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'json');
+  if (format !== 'json' && format !== 'csv') throw new UsageError(`Unknown --format "${format}" (json or csv)`);
+  return format;
+}
+
+// Turn an exported row back into content for addToQueue
+function rowToContent(row, config) {
+  const known = getDestinations(config.settings);
+  const listed = row.targets ? Object.keys(row.targets) : String(row.destinations || '').split(';').filter(Boolean);
+  const destinations = listed.filter(id => known[id]);
+  return {
+    source: row.source || 'import',
+    sourceId: row.sourceId || null,
+    // Re-running the caption transform on the original text gives the same caption
+    text: row.originalText || row.text || '',
+    mediaType: row.mediaType || 'text',
+    mediaUrl: row.mediaUrl || null,
+    link: row.link || null,
+    telegramFileId: row.telegramFileId || null,
+    media: row.media || null,
+    mimeType: row.mimeType || null,
+    fileSize: row.fileSize ? Number(row.fileSize) : null,
+    destinations: destinations.length > 0 ? destinations : undefined
+  };
+}
+
+function requireId(positional, usage) {
+  if (!positional[0]) throw new UsageError(`Usage: node index.js ${usage}`);
+  return positional[0];
+}
+
+// Each command resolves to { code, data, text }: data is printed with --json, text otherwise
+const COMMANDS = {
+  add: {
+    usage: "add '<json>'",
+    async run([json]) {
+      if (!json) throw new UsageError("Usage: node index.js add '<json>'");
+      let content;
+      try {
+        content = JSON.parse(json);
+      } catch (error) {
+        throw new UsageError(`add needs a JSON object: ${error.message}`);
+      }
+      const result = addToQueue(await prepareContentMedia(content));
+      return {
+        code: result.success ? EXIT_OK : EXIT_FAILURE,
+        data: result,
+        text: result.success
+          ? `Queued ${result.item.id}${result.awaitingApproval ? ' (awaiting approval)' : ` for ${result.item.scheduledFor || 'now'}`}`
+          : `Not queued: ${result.message || result.reason || (result.errors || []).join(', ')}`
+      };
+    }
+  },
+
+  process: {
+    usage: 'process',
+    async run() {
+      await processScheduledPosts();
+      return { code: EXIT_OK, data: { ok: true }, text: 'Processing complete' };
+    }
+  },
+
+  schedule: {
+    usage: 'schedule',
+    run() {
+      const assigned = schedulePosts();
+      const count = Object.keys(assigned).length;
+      return { code: EXIT_OK, data: { scheduled: assigned }, text: count ? `Gave slots to ${count} item(s)` : 'Every pending item already has a slot' };
+    }
+  },
+
+  status: {
+    usage: 'status',
+    run() {
+      const q = loadQueue();
+      // Target states per destination, e.g. { brand-a: { posted: 3, pending: 1 } }
+      const byDestination = {};
+      allItems(q).forEach(item => {
+        for (const [id, target] of Object.entries(item.targets || {})) {
+          byDestination[id] = byDestination[id] || {};
+          byDestination[id][target.status] = (byDestination[id][target.status] || 0) + 1;
+        }
+      });
+      const handedOff = q.pending.flatMap(item => Object.entries(item.targets || {})
+        .filter(([, target]) => target.status === 'handed_off')
+        .map(([id, target]) => ({ id: item.id, destination: id, scheduledFor: target.scheduledFor, postId: target.postId })));
+      const data = {
+        pending: q.pending.length,
+        awaitingApproval: (q.awaiting || []).length,
+        posted: q.posted.length,
+        dead: (q.dead || []).length,
+        destinations: byDestination,
+        handedOff,
+        paused: q.paused || null
+      };
+
+      const lines = [
+        `Pending: ${data.pending}  Awaiting approval: ${data.awaitingApproval}  Posted: ${data.posted}  Dead: ${data.dead}`,
+        ...Object.entries(byDestination).map(([id, counts]) => `  ${id}: ${Object.entries(counts).map(([status, n]) => `${status}=${n}`).join(' ')}`)
+      ];
+      if (handedOff.length > 0) {
+        lines.push('Handed off to Facebook:', ...handedOff.map(h => `  ${h.id} -> ${h.destination}  ${h.scheduledFor}  fb:${h.postId}`));
+      }
+      if (q.paused) lines.push(`Publishing paused${q.paused.by ? ` by ${q.paused.by}` : ''} since ${q.paused.at}`);
+      return { code: EXIT_OK, data, text: lines.join('\n') };
+    }
+  },
+
+  list: {
+    usage: 'list [--status s[,s]|all] [--source name] [--destination id] [--from time] [--to time] [--limit n]',
+    run(positional, flags, config) {
+      const items = selectItems(flags, config, DEFAULT_LIST_STATUSES);
+      const timeZone = getTimeZone(config);
+      return {
+        code: EXIT_OK,
+        data: items,
+        text: items.length === 0 ? 'No matching items' : items.map(item => formatItemLine(item, timeZone)).join('\n')
+      };
+    }
+  },
+
+  show: {
+    usage: 'show <id>',
+    run(positional, flags, config) {
+      const id = requireId(positional, 'show <id>');
+      const item = findItem(id);
+      if (!item) return { code: EXIT_FAILURE, data: { success: false, reason: 'not_found' }, text: `No item ${id}` };
+      return { code: EXIT_OK, data: item, text: formatItemDetails(item, getTimeZone(config)) };
+    }
+  },
+
+  remove: {
+    usage: 'remove <id>',
+    async run(positional) {
+      const id = requireId(positional, 'remove <id>');
+      const result = await removeItem(id);
+      return {
+        code: result.success ? EXIT_OK : EXIT_FAILURE,
+        data: { success: result.success, id, list: result.list, reason: result.reason },
+        text: result.success ? `Removed ${id} from ${result.list}` : result.message
+      };
+    }
+  },
+
+  edit: {
+    usage: 'edit <id> <text> (or --text <text>)',
+    run(positional, flags) {
+      const id = requireId(positional, 'edit <id> <text>');
+      const text = typeof flags.text === 'string' ? flags.text : positional.slice(1).join(' ');
+      if (!text) throw new UsageError('Usage: node index.js edit <id> <text>');
+      const result = editItem(id, text);
+      return {
+        code: result.success ? EXIT_OK : EXIT_FAILURE,
+        data: result,
+        text: result.success ? `Updated the caption of ${id}` : result.message
+      };
+    }
+  },
+
+  reschedule: {
+    usage: 'reschedule <id> <time> [destination]',
+    async run(positional, flags, config) {
+      const [id, time, destinationId] = positional;
+      if (!id || !time) throw new UsageError('Usage: node index.js reschedule <id> <time> [destination]');
+      const publishAt = timeFlag(time, 'time', config);
+      const result = await rescheduleItem(id, publishAt, destinationId);
+      return {
+        code: result.success ? EXIT_OK : EXIT_FAILURE,
+        data: result,
+        text: result.success ? `Rescheduled ${id} to ${result.item.scheduledFor}` : result.message
+      };
+    }
+  },
+
+  cancel: {
+    usage: 'cancel <id> [destination]',
+    async run(positional) {
+      const [id, destinationId] = positional;
+      if (!id) throw new UsageError('Usage: node index.js cancel <id> [destination]');
+      const result = await cancelItem(id, destinationId);
+      return {
+        code: result.success ? EXIT_OK : EXIT_FAILURE,
+        data: result,
+        text: result.success ? `Cancelled ${id} on ${result.cancelled.join(', ')}` : result.message
+      };
+    }
+  },
+
+  retry: {
+    usage: 'retry <id>',
+    run(positional) {
+      const id = requireId(positional, 'retry <id>');
+      const result = retryItem(id);
+      let text = result.message;
+      if (result.success) text = result.requeued ? `Requeued dead item ${id}` : `Retrying ${id} on ${result.retried.join(', ')} at the next run`;
+      return { code: result.success ? EXIT_OK : EXIT_FAILURE, data: result, text };
+    }
+  },
+
+  requeue: {
+    usage: 'requeue <id[,id...]|all>',
+    run([arg]) {
+      if (!arg) throw new UsageError('Usage: node index.js requeue <id[,id...]|all>');
+      const requeued = requeueDead(arg === 'all' ? 'all' : arg.split(','));
+      return {
+        code: requeued.length ? EXIT_OK : EXIT_FAILURE,
+        data: { requeued },
+        text: requeued.length ? `Requeued: ${requeued.join(', ')}` : 'No matching dead items'
+      };
+    }
+  },
+
+  purge: {
+    usage: 'purge --posted-before <time>',
+    run(positional, flags, config) {
+      const before = timeFlag(flags['posted-before'], 'posted-before', config);
+      if (!before) throw new UsageError('Usage: node index.js purge --posted-before <time>');
+      const purged = purgePosted(before);
+      return { code: EXIT_OK, data: { purged }, text: `Purged ${purged.length} posted item(s) from before ${before}` };
+    }
+  },
+
+  export: {
+    usage: 'export [--format json|csv] [--output file] [list filters; default --status all]',
+    run(positional, flags, config) {
+      const format = getFormat(flags, flags.output);
+      const items = selectItems(flags, config, null);
+      const body = format === 'csv' ? toCsv(items) : JSON.stringify(items, null, 2) + '\n';
+      if (typeof flags.output === 'string') {
+        fs.writeFileSync(flags.output, body);
+        return { code: EXIT_OK, data: { exported: items.length, output: flags.output, format }, text: `Exported ${items.length} item(s) to ${flags.output}` };
+      }
+      // The export itself is the output; --json only matters with --output
+      process.stdout.write(body);
+      return { code: EXIT_OK, data: null, text: null };
+    }
+  },
+
+  import: {
+    usage: 'import <file|-> [--format json|csv]',
+    async run(positional, flags, config) {
+      const file = requireId(positional, 'import <file|-> [--format json|csv]');
+      const format = getFormat(flags, file);
+      const raw = fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+      let rows;
+      try {
+        rows = format === 'csv' ? parseCsv(raw) : JSON.parse(raw);
+      } catch (error) {
+        return { code: EXIT_FAILURE, data: { success: false, reason: 'invalid_file' }, text: `Cannot read ${file}: ${error.message}` };
+      }
+      if (!Array.isArray(rows)) rows = rows.pending || [rows];
+
+      const results = [];
+      for (const row of rows) {
+        // Settled and handed-off items have already reached Facebook
+        if (row.status && !IMPORTABLE_STATUSES.includes(row.status)) {
+          results.push({ from: row.id || null, success: false, reason: `skipped_${row.status}` });
+          continue;
+        }
+        const result = addToQueue(rowToContent(row, config));
+        const entry = { from: row.id || null, success: result.success, id: result.item?.id, reason: result.reason || (result.errors || []).join(', ') || undefined };
+        if (result.success && !result.awaitingApproval && row.scheduledFor && Date.parse(row.scheduledFor) > Date.now()) {
+          const moved = await rescheduleItem(result.item.id, row.scheduledFor);
+          if (moved.success) entry.scheduledFor = moved.item.scheduledFor;
+        }
+        results.push(entry);
+      }
+
+      const imported = results.filter(r => r.success).length;
+      const lines = [`Imported ${imported} of ${rows.length} item(s)`,
+        ...results.filter(r => !r.success).map(r => `  ${r.from || '(no id)'}: ${r.reason}`)];
+      return { code: imported > 0 || rows.length === 0 ? EXIT_OK : EXIT_FAILURE, data: { imported, results }, text: lines.join('\n') };
+    }
+  },
+
+  insights: {
+    usage: 'insights',
+    async run() {
+      const result = await collectInsights();
+      return {
+        code: result.failed > 0 ? EXIT_FAILURE : EXIT_OK,
+        data: result,
+        text: `Collected ${result.collected} snapshot(s)${result.missed ? `, ${result.missed} window(s) missed` : ''}${result.failed ? `, ${result.failed} failed (see logs/error.log)` : ''}`
+      };
+    }
+  },
+
+  report: {
+    usage: `report [--window 24h] [--by ${DIMENSIONS.join(',')}] [--suggest] [--format csv] [--output file] [--source name] [--destination id] [--from time] [--to time]`,
+    run(positional, flags, config) {
+      const by = typeof flags.by === 'string' ? flags.by.split(',') : DIMENSIONS;
+      const window = typeof flags.window === 'string' ? flags.window : undefined;
+      let report;
+      try {
+        report = buildReport(selectItems(flags, config, null), config.settings, { window, by, destination: flags.destination, suggest: flags.suggest === true });
+      } catch (error) {
+        throw new UsageError(error.message);
+      }
+
+      if (getFormat(flags, flags.output) === 'csv') {
+        const rows = Object.entries(report.breakdowns).flatMap(([dimension, groups]) => groups.map(row => ({ dimension, ...row })));
+        const body = toCsvTable(REPORT_CSV_COLUMNS, [{ dimension: 'all', group: 'all', ...report.totals }, ...rows]);
+        if (typeof flags.output !== 'string') {
+          process.stdout.write(body);
+          return { code: EXIT_OK, data: null, text: null };
+        }
+        fs.writeFileSync(flags.output, body);
+        return { code: EXIT_OK, data: { output: flags.output, rows: rows.length + 1 }, text: `Wrote ${rows.length + 1} row(s) to ${flags.output}` };
+      }
+      if (typeof flags.output === 'string') {
+        fs.writeFileSync(flags.output, JSON.stringify(report, null, 2) + '\n');
+        return { code: EXIT_OK, data: { output: flags.output }, text: `Wrote the report to ${flags.output}` };
+      }
+      return { code: EXIT_OK, data: report, text: formatReport(report) };
+    }
+  },
+
+  rejected: {
+    usage: 'rejected [n]',
+    run([count]) {
+      const rejections = (loadQueue().rejected || []).slice(-Number(count || 50));
+      const text = rejections.length === 0 ? 'No rejected content recorded' : rejections.map(entry =>
+        `${entry.at}  ${entry.stage}  ${entry.source || '-'}  ${entry.reason}${entry.rule ? ` (${entry.rule})` : ''}: ${entry.text.substring(0, 60)}`).join('\n');
+      return { code: EXIT_OK, data: rejections, text };
+    }
+  },
+
+  dead: {
+    usage: 'dead',
+    run() {
+      const deadItems = loadQueue().dead || [];
+      const text = deadItems.length === 0 ? 'Dead list is empty' : deadItems.map(item =>
+        `${item.id}  ${item.source || '-'}  ${item.deadAt}  ${item.deadReason}: ${item.error}`).join('\n');
+      return { code: EXIT_OK, data: deadItems, text };
+    }
+  },
+
+  validate: {
+    usage: 'validate',
+    async run(positional, flags, config) {
+      // Refresh stale token checks so missing permissions show up here
+      await checkTokens(config).catch(error => logError('Token check failed', error));
+      const v = validateConfig(config);
+      return { code: v.valid ? EXIT_OK : EXIT_FAILURE, data: v, text: `${v.valid ? '✅ Valid' : '❌ Invalid'} ${v.errors ? v.errors.join('\n') : ''}`.trim() };
+    }
+  },
+
+  token: {
+    usage: 'token <check|exchange <short-lived-user-token> [destination]>',
+    async run([action, shortToken, destination], flags, config) {
+      if (action === 'check') {
+        const report = await checkTokens(config, { force: true });
+        return {
+          code: Object.values(report).every(token => token.status === 'ok') ? EXIT_OK : EXIT_FAILURE,
+          data: report,
+          text: Object.entries(report).map(([id, token]) =>
+            `${id}: ${token.status} - ${token.message}${token.scopes.length ? ` [${token.scopes.join(', ')}]` : ''}`).join('\n')
+        };
+      }
+      if (action === 'exchange' && shortToken) {
+        const destinationId = destination || Object.keys(getDestinations(config.settings))[0];
+        const result = await exchangeToken(shortToken, getDestinationSettings(config.settings, destinationId).facebook);
+        return {
+          code: EXIT_OK,
+          data: result,
+          text: `Long-lived Page token for ${result.pageName || destinationId}:\n${result.pageToken}\n` +
+            'Store it as the destination access_token (e.g. in FACEBOOK_ACCESS_TOKEN), then run: node index.js token check'
+        };
+      }
+      throw new UsageError('Usage: node index.js token <check|exchange <short-lived-user-token> [destination]>');
+    }
+  },
+
+  health: {
+    usage: 'health [port]',
+    run([port], flags, config) {
+      if (port) {
+        if (config.settings.features?.health_check === false) {
+          return { code: EXIT_FAILURE, data: null, text: 'Health check is disabled (settings.features.health_check)' };
+        }
+        startHealthServer(Number(port));
+        return { code: EXIT_OK, data: null, text: null };
+      }
+      const health = getHealthStatus(config);
+      return { code: health.status === 'healthy' ? EXIT_OK : EXIT_FAILURE, data: health, text: JSON.stringify(health, null, 2) };
+    }
+  }
+};
+
+function usage() {
+  return ['Usage: node index.js <command> [--json]', '', ...Object.values(COMMANDS).map(command => `  ${command.usage}`)].join('\n');
+}
+
+/**
+ * Run a CLI command.
+ * @param {string[]} argv - arguments after the script name
+ * @returns {Promise<number>} exit code
+ */
+async function run(argv) {
+  const { positional, flags } = parseArgs(argv);
+  const [name, ...args] = positional;
+  const command = Object.hasOwn(COMMANDS, name || '') ? COMMANDS[name] : null;
+  if (!command || flags.help) {
+    console.log(command ? `Usage: node index.js ${command.usage}` : usage());
+    return command || name === 'help' || !name ? EXIT_OK : EXIT_USAGE;
+  }
+
+  // stdout carries only the JSON document
+  if (flags.json) logToStderr();
+
+  try {
+    // Entries logged by the command are tagged with its name, unless a more specific phase applies
+    const result = await runWithLogContext({ phase: name }, () => command.run(args, flags, loadConfig()));
+    if (flags.json && result.data !== null) {
+      console.log(JSON.stringify(result.data, null, 2));
+    } else if (result.text) {
+      (result.code === EXIT_OK ? console.log : console.error)(result.text);
+    }
+    return result.code;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(error.message);
+      return EXIT_USAGE;
+    }
+    if (flags.json) console.log(JSON.stringify({ success: false, error: error.message }, null, 2));
+    logError(`Command ${name} failed`, error);
+    return EXIT_FAILURE;
+  }
+}
+
+module.exports = { run, parseArgs, parseCsv, toCsv, EXIT_OK, EXIT_FAILURE, EXIT_USAGE };
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
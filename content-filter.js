@@ -0,0 +1,96 @@
+/**
+ * Content Filter
+ * Config-driven rules that decide whether content may be queued
+ *
+ * settings.content_filter:
+ *   min_text_length      minimum text length for text-only posts
+ *   min_caption_length   minimum caption length for image/video posts
+ *   max_text_length      maximum text/caption length
+ *   allowed_media_types  e.g. ["text", "image", "video"]
+ *   skip_patterns        substrings that reject content (case-insensitive)
+ *   exclude              rules that reject content
+ *   include              rules of which at least one must match (when non-empty)
+ *   sources              per-source overrides of any of the above, keyed by
+ *                        source name or Telegram chat id
+ *
+ * A rule is either a plain string (case-insensitive substring) or
+ * { "regex": "...", "flags": "i" }.
+ */
+
+const DEFAULT_FILTER = {
+  min_text_length: 0,
+  min_caption_length: 0,
+  max_text_length: 2200,
+  allowed_media_types: ['text', 'image', 'video'],
+  skip_patterns: ['#skip', '#draft', '#ignore'],
+  exclude: [],
+  include: []
+};
+
+const regexCache = new Map();
+
+// Effective filter settings for a source: defaults < global < per-source
+function getFilterSettings(settings, source, sourceId) {
+  const { sources = {}, ...global } = settings?.content_filter || {};
+  const override = (source && sources[source]) || (sourceId && sources[sourceId]) || {};
+  return { ...DEFAULT_FILTER, ...global, ...override };
+}
+
+function describeRule(rule) {
+  return typeof rule === 'string' ? rule : `/${rule.regex}/${rule.flags || ''}`;
+}
+
+function ruleMatches(rule, text) {
+  if (typeof rule === 'string') {
+    return text.toLowerCase().includes(rule.toLowerCase());
+  }
+  if (rule && typeof rule.regex === 'string') {
+    const key = `${rule.regex}/${rule.flags || ''}`;
+    // g and y make a reused RegExp resume at lastIndex, matching every other message
+    if (!regexCache.has(key)) regexCache.set(key, new RegExp(rule.regex, (rule.flags || '').replace(/[gy]/g, '')));
+    return regexCache.get(key).test(text);
+  }
+  throw new Error(`Invalid content filter rule: ${JSON.stringify(rule)}`);
+}
+
+function reject(reason, message, rule) {
+  return { allowed: false, reason, message, rule: rule === undefined ? null : describeRule(rule) };
+}
+
+/**
+ * Check content against the configured filter.
+ * @param {Object} content - { source, sourceId, text, mediaType }
+ * @param {Object} settings - config.settings
+ * @returns {Object} { allowed: true } or { allowed: false, reason, message, rule }
+ */
+function checkContent(content, settings) {
+  const filter = getFilterSettings(settings, content.source, content.sourceId);
+  const text = content.text || '';
+  const mediaType = content.mediaType || 'text';
+
+  if (!filter.allowed_media_types.includes(mediaType)) {
+    return reject('media_type_not_allowed', `Media type "${mediaType}" is not in allowed_media_types`);
+  }
+
+  for (const rule of [...filter.skip_patterns, ...filter.exclude]) {
+    if (ruleMatches(rule, text)) {
+      return reject('excluded', `Matches exclude rule ${describeRule(rule)}`, rule);
+    }
+  }
+
+  if (filter.include.length > 0 && !filter.include.some(rule => ruleMatches(rule, text))) {
+    return reject('not_included', 'Matches none of the include rules');
+  }
+
+  const minLength = mediaType === 'text' ? filter.min_text_length : filter.min_caption_length;
+  if (text.length < minLength) {
+    return reject('too_short', `Text is ${text.length} characters, minimum is ${minLength}`);
+  }
+  if (text.length > filter.max_text_length) {
+    return reject('too_long', `Text is ${text.length} characters, maximum is ${filter.max_text_length}`);
+  }
+
+  return { allowed: true };
+}
+
+module.exports = { DEFAULT_FILTER, getFilterSettings, checkContent };
@@ -0,0 +1,159 @@
+/**
+ * Duplicate Detection
+ * Decides whether new content repeats something queued or recently posted
+ *
+ * A fingerprint is the normalized caption plus one hash per media file:
+ *   - text is NFKC-normalized and lower-cased, emoji, zero-width characters
+ *     and extra whitespace are dropped, and runs of Thai combining marks
+ *     (vowels above/below, tone marks) are put in one order without repeats,
+ *     so the same words typed differently still match
+ *   - media is the SHA-256 of the file (Telegram files are downloaded for it
+ *     at ingest), else Telegram's file_unique_id, else the file reference
+ *
+ * Text posts are duplicates when their captions are at least
+ * settings.duplicates.similarity alike (character trigrams, 1 = identical
+ * after normalizing). Media posts must also carry the same media, so a new
+ * photo with an old caption still goes out. Posted content is remembered for
+ * lookback_days.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Override via settings.duplicates
+const DEFAULT_DUPLICATE_SETTINGS = {
+  similarity: 0.9,
+  lookback_days: 30,
+  hash_media: true,
+  hash_max_bytes: 20 * 1024 * 1024
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HASH_CHUNK_BYTES = 1024 * 1024;
+
+// Emoji (with skin tones and flags), variation selectors, keycaps and zero-width characters
+const IGNORED_CHARS = /[\p{Extended_Pictographic}\p{Regional_Indicator}\u{1F3FB}-\u{1F3FF}\u20E3\uFE0E\uFE0F\u200B-\u200D\u2060\uFEFF]/gu;
+// Thai marks that sit above or below a consonant; their typed order varies
+const THAI_MARK_RUN = /[\u0E31\u0E34-\u0E3A\u0E47-\u0E4E]{2,}/gu;
+
+function getDuplicateSettings(settings) {
+  return { ...DEFAULT_DUPLICATE_SETTINGS, ...(settings?.duplicates || {}) };
+}
+
+function normalizeText(text) {
+  return String(text || '')
+    // NFKC also splits SARA AM into NIKHAHIT + SARA AA, the way it is often typed
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(IGNORED_CHARS, '')
+    .replace(THAI_MARK_RUN, run => [...new Set(run)].sort().join(''))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function countTrigrams(text) {
+  const chars = [...text];
+  const grams = new Map();
+  for (let i = 0; i + 3 <= chars.length; i++) {
+    const gram = chars.slice(i, i + 3).join('');
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+/**
+ * Dice coefficient over character trigrams. Works without word boundaries,
+ * which Thai text doesn't have.
+ * @returns {number} 1 for identical texts down to 0 for nothing in common
+ */
+function textSimilarity(a, b) {
+  if (a === b) return 1;
+  const gramsA = countTrigrams(a);
+  const gramsB = countTrigrams(b);
+  let shared = 0;
+  let total = 0;
+  for (const [gram, count] of gramsA) {
+    shared += Math.min(count, gramsB.get(gram) || 0);
+    total += count;
+  }
+  for (const count of gramsB.values()) total += count;
+  return total === 0 ? 0 : (2 * shared) / total;
+}
+
+// SHA-256 of a file, read in chunks so large videos don't fill memory
+function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  const buffer = Buffer.alloc(HASH_CHUNK_BYTES);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      hash.update(buffer.subarray(0, bytesRead));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return `sha256:${hash.digest('hex')}`;
+}
+
+// Best identity for a media file without downloading it
+function mediaReference(media) {
+  const ref = media.mediaUrl;
+  if (ref && ref !== media.telegramFileId && !/^https?:\/\//i.test(ref) && fs.existsSync(ref)) return hashFile(ref);
+  if (media.fileUniqueId) return `tg:${media.fileUniqueId}`;
+  return `ref:${media.telegramFileId || ref || ''}`;
+}
+
+/**
+ * @param {string} text - caption as sent, without control hashtags
+ * @param {string} mediaType
+ * @param {string[]} [media] - one hash or reference per media file
+ * @returns {Object} { text, mediaType, media }
+ */
+function buildFingerprint(text, mediaType, media = []) {
+  return { text: normalizeText(text), mediaType: mediaType || 'text', media: [...media].sort() };
+}
+
+function sameMedia(a, b) {
+  return a.length === b.length && a.every((hash, index) => hash === b[index]);
+}
+
+/**
+ * The closest earlier content this fingerprint duplicates.
+ * @param {Object} fingerprint - from buildFingerprint()
+ * @param {Object[]} candidates - [{ id, fingerprint }]
+ * @param {Object} settings - getDuplicateSettings() result
+ * @returns {Object|null} { id, similarity }
+ */
+function findDuplicate(fingerprint, candidates, settings) {
+  const hasMedia = fingerprint.mediaType !== 'text';
+  let best = null;
+  for (const candidate of candidates) {
+    const other = candidate.fingerprint;
+    if (!other || (other.mediaType !== 'text') !== hasMedia) continue;
+    if (hasMedia && !sameMedia(fingerprint.media, other.media)) continue;
+    const similarity = textSimilarity(fingerprint.text, other.text);
+    if (similarity >= settings.similarity && (!best || similarity > best.similarity)) {
+      best = { id: candidate.id, similarity };
+    }
+  }
+  return best;
+}
+
+// Posted fingerprints still inside the lookback window
+function pruneFingerprints(fingerprints, lookbackDays, now = Date.now()) {
+  const since = new Date(now - lookbackDays * DAY_MS).toISOString();
+  return (fingerprints || []).filter(entry => entry.at >= since);
+}
+
+module.exports = {
+  DEFAULT_DUPLICATE_SETTINGS,
+  getDuplicateSettings,
+  normalizeText,
+  textSimilarity,
+  hashFile,
+  mediaReference,
+  buildFingerprint,
+  findDuplicate,
+  pruneFingerprints
+};
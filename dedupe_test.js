@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * Duplicate detection tests
+ * Caption normalization and near-duplicate matching in dedupe.js, and the
+ * #force tag that lets a duplicate through
+ *
+ * Usage: node --test dedupe_test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_DUPLICATE_SETTINGS, normalizeText, textSimilarity, buildFingerprint, findDuplicate, pruneFingerprints } = require('./dedupe.js');
+const { transformCaption, stripControlHashtags } = require('./caption-transform.js');
+
+const settings = DEFAULT_DUPLICATE_SETTINGS;
+
+function candidate(id, text, mediaType = 'text', media = []) {
+  return { id, fingerprint: buildFingerprint(text, mediaType, media) };
+}
+
+test('normalizeText ignores case, emoji, zero-width characters and spacing', () => {
+  assert.strictEqual(normalizeText('  Big   SALE 🔥🔥 today!​\n'), 'big sale today!');
+  assert.strictEqual(normalizeText('Thumbs 👍🏽 up'), 'thumbs up');
+  assert.strictEqual(normalizeText('Flags 🇹🇭 too'), 'flags too');
+  assert.strictEqual(normalizeText('Ｆｕｌｌｗｉｄｔｈ'), 'fullwidth');
+});
+
+test('normalizeText puts Thai marks typed in a different order into one order', () => {
+  // Tone mark before / after the upper vowel: จี่ vs จ่ี
+  assert.strictEqual(normalizeText('จี่'), normalizeText('จ่ี'));
+  // A mark typed twice by accident
+  assert.strictEqual(normalizeText('กิ่่'), normalizeText('กิ่'));
+  // SARA AM and NIKHAHIT + SARA AA
+  assert.strictEqual(normalizeText('น้ำ'), normalizeText('น้ํา'));
+});
+
+test('normalizeText keeps Thai words apart that differ in their marks', () => {
+  // ไม้เอก vs ไม้โท change the word
+  assert.notStrictEqual(normalizeText('ข้าว'), normalizeText('ข่าว'));
+});
+
+test('textSimilarity is 1 for identical text and 0 for nothing in common', () => {
+  assert.strictEqual(textSimilarity('same text', 'same text'), 1);
+  assert.strictEqual(textSimilarity('abcdef', 'uvwxyz'), 0);
+  assert.strictEqual(textSimilarity('', 'ab'), 0);
+});
+
+test('a caption reposted with small changes is a duplicate', () => {
+  const posted = [candidate('old', 'Grand opening this Saturday at 10am! Free coffee for the first 50 customers 🎉')];
+
+  for (const text of [
+    'grand opening this saturday at 10am!  Free coffee for the first 50 customers',
+    'Grand opening this Saturday at 10am! Free coffee for the first 50 customers!! ☕',
+    'Grand opening this Saturday at 10am. Free coffee for the first 50 customers'
+  ]) {
+    const duplicate = findDuplicate(buildFingerprint(text, 'text'), posted, settings);
+    assert.strictEqual(duplicate?.id, 'old', text);
+    assert.ok(duplicate.similarity >= settings.similarity);
+  }
+});
+
+test('Thai captions typed differently are duplicates', () => {
+  const posted = [candidate('old', 'โปรโมชั่นพิเศษ ลดราคา 50% ทุกเมนู วันนี้เท่านั้น 🎉')];
+  // Same words with each tone mark typed before its upper vowel, emoji and spacing changed
+  const retyped = 'โปรโมชั่นพิเศษ  ลดราคา 50% ทุกเมนู วันนี้เท่านั้น'
+    .replace(/(\u0E31|\u0E35)(\u0E48|\u0E49)/g, '$2$1');
+  assert.notStrictEqual(retyped, 'โปรโมชั่นพิเศษ  ลดราคา 50% ทุกเมนู วันนี้เท่านั้น');
+
+  assert.strictEqual(findDuplicate(buildFingerprint(retyped, 'text'), posted, settings)?.id, 'old');
+});
+
+test('different posts are not duplicates', () => {
+  const posted = [candidate('old', 'Grand opening this Saturday at 10am! Free coffee for the first 50 customers')];
+
+  for (const text of [
+    'Grand opening this Sunday at 2pm! Free cake for the first 20 customers',
+    'Closed this Saturday for the holiday, see you on Monday',
+    'Grand opening'
+  ]) {
+    assert.strictEqual(findDuplicate(buildFingerprint(text, 'text'), posted, settings), null, text);
+  }
+});
+
+test('the similarity threshold decides borderline cases', () => {
+  const posted = [candidate('old', 'Weekend market: fresh fruit, vegetables and flowers from local farms')];
+  const edited = buildFingerprint('Weekend market: fresh fruit, vegetables, bread and flowers from local farms', 'text');
+  const similarity = textSimilarity(edited.text, posted[0].fingerprint.text);
+  assert.ok(similarity > 0.8 && similarity < 1, `similarity ${similarity}`);
+
+  assert.strictEqual(findDuplicate(edited, posted, { ...settings, similarity: similarity - 0.01 })?.id, 'old');
+  assert.strictEqual(findDuplicate(edited, posted, { ...settings, similarity: similarity + 0.01 }), null);
+});
+
+test('media posts are duplicates only with the same media', () => {
+  const caption = 'New menu item: mango sticky rice';
+  const posted = [candidate('old', caption, 'image', ['sha256:aaa'])];
+
+  assert.strictEqual(findDuplicate(buildFingerprint(caption, 'image', ['sha256:aaa']), posted, settings)?.id, 'old');
+  assert.strictEqual(findDuplicate(buildFingerprint(caption, 'image', ['sha256:bbb']), posted, settings), null);
+  assert.strictEqual(findDuplicate(buildFingerprint(caption, 'text'), posted, settings), null);
+});
+
+test('album media match in any order, but not with a photo missing', () => {
+  const caption = 'Photos from the weekend market';
+  const posted = [candidate('old', caption, 'image', ['sha256:a', 'sha256:b', 'sha256:c'])];
+
+  assert.strictEqual(findDuplicate(buildFingerprint(caption, 'image', ['sha256:c', 'sha256:a', 'sha256:b']), posted, settings)?.id, 'old');
+  assert.strictEqual(findDuplicate(buildFingerprint(caption, 'image', ['sha256:a', 'sha256:b']), posted, settings), null);
+});
+
+test('the closest of several candidates is reported', () => {
+  const candidates = [
+    candidate('far', 'Big sale on shoes and bags this weekend only'),
+    candidate('close', 'Big sale on shoes this weekend only!')
+  ];
+  assert.strictEqual(findDuplicate(buildFingerprint('Big sale on shoes this weekend only', 'text'), candidates, settings).id, 'close');
+});
+
+test('#force keeps its tag out of the fingerprint and marks the post to go out anyway', () => {
+  const config = { caption: {} };
+  const posted = [candidate('old', 'Grand opening this Saturday at 10am!')];
+  const text = 'Grand opening this Saturday at 10am! #force';
+
+  const caption = transformCaption({ source: 'test', text, mediaType: 'text' }, config);
+  const fingerprint = buildFingerprint(stripControlHashtags(text, config, 'test'), 'text');
+
+  assert.ok(caption.controlTags.includes('#force'));
+  assert.ok(!caption.text.includes('#force'));
+  assert.strictEqual(fingerprint.text, 'grand opening this saturday at 10am!');
+  // Still found as a duplicate; #force is what lets addToQueue queue it
+  assert.strictEqual(findDuplicate(fingerprint, posted, settings)?.similarity, 1);
+});
+
+test('fingerprints older than the lookback window are forgotten', () => {
+  const now = Date.parse('2026-10-20T00:00:00Z');
+  const fingerprints = [
+    { id: 'old', at: '2026-09-01T00:00:00.000Z' },
+    { id: 'recent', at: '2026-10-10T00:00:00.000Z' }
+  ];
+  assert.deepStrictEqual(pruneFingerprints(fingerprints, 30, now).map(f => f.id), ['recent']);
+});
@@ -0,0 +1,117 @@
+/**
+ * Destinations and Routing
+ * Maps incoming sources to the Facebook Pages they publish to
+ *
+ * settings.destinations: Pages keyed by id, each with its own page_id and
+ *   access_token, plus optional schedule and content_filter overrides.
+ *   Anything else (api_version, video_chunk_retries, ...) falls back to
+ *   settings.facebook.
+ * settings.routes: [{ "source": "<chat title, @username or chat id>",
+ *   "destinations": ["<id>", ...] }]. A route with source "*" catches
+ *   sources no other route names. Without routes every source goes to
+ *   every destination.
+ *
+ * Without settings.destinations, settings.facebook is the single
+ * destination "default", so older configs keep working unchanged.
+ */
+
+const DEFAULT_DESTINATION_ID = 'default';
+const WILDCARD_SOURCE = '*';
+
+function hasNamedDestinations(settings) {
+  return Boolean(settings?.destinations && Object.keys(settings.destinations).length > 0);
+}
+
+/**
+ * All configured destinations.
+ * @returns {Object} map of destination id -> Facebook settings for that Page
+ */
+function getDestinations(settings) {
+  const facebook = settings?.facebook || {};
+  if (!hasNamedDestinations(settings)) {
+    return { [DEFAULT_DESTINATION_ID]: { type: 'facebook', ...facebook } };
+  }
+
+  const { page_id, access_token, ...shared } = facebook;
+  const destinations = {};
+  for (const [id, destination] of Object.entries(settings.destinations)) {
+    destinations[id] = { type: 'facebook', ...shared, ...destination };
+  }
+  return destinations;
+}
+
+/**
+ * Settings as seen by one destination: its own Page credentials in
+ * `facebook`, its schedule and content_filter merged over the global ones.
+ */
+function getDestinationSettings(settings, id) {
+  const destination = getDestinations(settings)[id];
+  if (!destination) {
+    const error = new Error(`Unknown destination "${id}"`);
+    error.transient = false;
+    throw error;
+  }
+
+  const { schedule, content_filter, ...facebook } = destination;
+  return {
+    ...settings,
+    facebook,
+    schedule: { ...settings.schedule, ...schedule },
+    content_filter: { ...settings.content_filter, ...content_filter }
+  };
+}
+
+function getRoutes(settings) {
+  if (Array.isArray(settings?.routes)) return settings.routes;
+  return [{ source: WILDCARD_SOURCE, destinations: Object.keys(getDestinations(settings)) }];
+}
+
+function routeMatches(route, chat) {
+  const names = [chat.chatId, chat.title, chat.username, chat.username && `@${chat.username}`]
+    .filter(Boolean)
+    .map(String);
+  return names.includes(String(route.source));
+}
+
+/**
+ * Destination ids a source publishes to.
+ * @param {Object} settings - config.settings
+ * @param {Object} chat - { chatId, title, username }
+ * @returns {string[]}
+ */
+function resolveDestinations(settings, chat) {
+  const routes = getRoutes(settings);
+  let matched = routes.filter(route => route.source !== WILDCARD_SOURCE && routeMatches(route, chat));
+  if (matched.length === 0) matched = routes.filter(route => route.source === WILDCARD_SOURCE);
+  return [...new Set(matched.flatMap(route => route.destinations || []))];
+}
+
+// Whether a Telegram chat may feed the queue: listed in telegram_sources or named by a route
+function isSourceAllowed(settings, chat) {
+  const names = [chat.chatId, chat.title, chat.username].filter(Boolean).map(String);
+  const allowed = (settings?.telegram_sources || []).some(source => names.includes(String(source)));
+  return allowed || getRoutes(settings).some(route => route.source !== WILDCARD_SOURCE && routeMatches(route, chat));
+}
+
+// Problems with the destinations/routes config, as human-readable strings
+function validateRouting(settings) {
+  const errors = [];
+  const destinations = getDestinations(settings);
+  for (const route of settings?.routes || []) {
+    if (!route.source) errors.push('Every route needs a source');
+    for (const id of route.destinations || []) {
+      if (!destinations[id]) errors.push(`Route for ${route.source} points to unknown destination "${id}"`);
+    }
+  }
+  return errors;
+}
+
+module.exports = {
+  DEFAULT_DESTINATION_ID,
+  hasNamedDestinations,
+  getDestinations,
+  getDestinationSettings,
+  resolveDestinations,
+  isSourceAllowed,
+  validateRouting
+};
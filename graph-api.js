@@ -0,0 +1,34 @@
+/**
+ * Graph API helpers
+ * Shared by the Facebook Page and Instagram publishers
+ */
+
+const DEFAULT_GRAPH_URL = 'https://graph.facebook.com';
+
+// Graph API error codes worth retrying: temporary failures and throttling
+// https://developers.facebook.com/docs/graph-api/guides/error-handling
+const TRANSIENT_GRAPH_CODES = new Set([1, 2, 4, 17, 32, 341, 368, 613]);
+const isThrottlingCode = code => code >= 80001 && code <= 80014;
+
+// Error returned by the Graph API, keeping the fields needed to classify it
+class GraphApiError extends Error {
+  constructor(graphError, prefix) {
+    super(prefix ? `${prefix}: ${graphError.message}` : graphError.message);
+    this.name = 'GraphApiError';
+    this.code = graphError.code;
+    this.subcode = graphError.error_subcode;
+    this.type = graphError.type;
+    this.fbtraceId = graphError.fbtrace_id;
+    this.transient = graphError.is_transient === true ||
+      TRANSIENT_GRAPH_CODES.has(graphError.code) ||
+      isThrottlingCode(graphError.code);
+  }
+}
+
+// Versioned Graph API base URL; graph_url points at a local stub when testing
+function getGraphBase(facebook) {
+  const host = (facebook.graph_url || DEFAULT_GRAPH_URL).replace(/\/+$/, '');
+  return `${host}/${facebook.api_version}`;
+}
+
+module.exports = { DEFAULT_GRAPH_URL, GraphApiError, getGraphBase };
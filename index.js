@@ -10,7 +10,7 @@
  * - Rate limiting
  * - Input validation
  * - Health check endpoint
- * - Separate error logging
+ * - Separate error logging (text or JSON lines, rotated, tokens redacted)
  * - Resumable video upload support
  */
 
@@ -18,17 +18,60 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const http = require('http');
+const { createQueueStore, acquireLock, releaseLock } = require('./queue-store.js');
+const { GraphApiError, getGraphBase } = require('./graph-api.js');
+const { validateInstagramItem, publishToInstagram } = require('./instagram.js');
+const { stagePublicFile, removeStagedFile } = require('./public-media.js');
+const { allocateSlots, reflowSchedule, isPostNow } = require('./scheduler.js');
+const { checkContent, getFilterSettings } = require('./content-filter.js');
+const { transformCaption, stripControlHashtags } = require('./caption-transform.js');
+const { getDuplicateSettings, normalizeText, mediaReference, buildFingerprint, findDuplicate, pruneFingerprints } = require('./dedupe.js');
+const { getDestinations, getDestinationSettings, resolveDestinations, validateRouting, DEFAULT_DESTINATION_ID } = require('./destinations.js');
+const { isValidLink, tagLink } = require('./links.js');
+const { getMediaSettings, inspectFile, inspectRemote, checkMediaLimits } = require('./media-inspect.js');
+const { createProgressReporter, downloadToFile, createMultipartFormData, postMultipart } = require('./media-transfer.js');
+const { createLogger, collectSecrets, runWithLogContext, addLogContext } = require('./logger.js');
 
 const CONFIG_PATH = path.join(__dirname, 'config.json');
 const QUEUE_PATH = path.join(__dirname, 'queue.json');
 const LOG_PATH = path.join(__dirname, 'posts.log');
 const ERROR_LOG_PATH = path.join(__dirname, 'logs', 'error.log');
+const TOKEN_CACHE_PATH = path.join(__dirname, 'token-cache.json');
 const TEMP_DIR = path.join(__dirname, 'temp');
 const LOGS_DIR = path.join(__dirname, 'logs');
+const DEFAULT_TELEGRAM_API_BASE = 'https://api.telegram.org';
+const MAX_ATTACHED_MEDIA = 10; // Telegram albums hold up to 10 items
+const DEFAULT_VIDEO_CHUNK_RETRIES = 3;
 
-// Rate limiting state
+// Token checks (override via settings.tokens)
+const DEFAULT_TOKEN_SETTINGS = {
+  warn_days: 7,
+  refresh_hours: 24,
+  alert_chat_id: null
+};
+
+// What happens on Facebook when a Telegram source message is edited or #deleted (settings.sync)
+const DEFAULT_SYNC_SETTINGS = {
+  edit_published: false,
+  delete_published: true
+};
+
+// Permissions a destination's token needs to publish
+const REQUIRED_SCOPES = {
+  facebook: ['pages_manage_posts'],
+  instagram: ['instagram_content_publish']
+};
+
+// Retry policy defaults (override via settings.retry)
+const DEFAULT_RETRY_POLICY = {
+  max_attempts: 5,
+  base_delay_seconds: 60,
+  max_delay_seconds: 6 * 60 * 60
+};
+
+// Rate limiting state, per Page
 const rateLimiter = {
-  lastPostTime: 0,
+  lastPostTimes: {},
   minInterval: 60000 // 60 seconds between posts
 };
 
@@ -39,8 +82,9 @@ const rateLimiter = {
   }
 });
 
-// Load configuration with environment variable support
-function loadConfig() {
+// Load configuration with environment variable support.
+// A config that can't be read ends the process, or with exitOnError false throws.
+function loadConfig({ exitOnError = true } = {}) {
   try {
     if (!fs.existsSync(CONFIG_PATH)) {
       throw new Error('config.json not found. Please copy config.template.json to config.json');
@@ -72,50 +116,96 @@ function loadConfig() {
     if (process.env.TELEGRAM_BOT_TOKEN) {
       config.settings.telegram.bot_token = process.env.TELEGRAM_BOT_TOKEN;
     }
+    if (process.env.TELEGRAM_WEBHOOK_SECRET) {
+      config.settings.telegram.webhook = config.settings.telegram.webhook || {};
+      config.settings.telegram.webhook.secret_token = process.env.TELEGRAM_WEBHOOK_SECRET;
+    }
     if (process.env.DRY_RUN) {
       config.settings.dry_run = process.env.DRY_RUN === 'true';
     }
     
     return config;
   } catch (e) {
+    if (!exitOnError) throw e;
     console.error('Failed to load config:', e.message);
     process.exit(1);
   }
 }
 
+// Queue storage backend, created on first use from settings.queue
+let queueStore = null;
+function getQueueStore() {
+  if (!queueStore) {
+    const settings = fs.existsSync(CONFIG_PATH) ? (loadConfig().settings.queue || {}) : {};
+    const backend = settings.backend || 'json';
+    const defaultPath = backend === 'sqlite' ? path.join(__dirname, 'queue.db') : QUEUE_PATH;
+    queueStore = createQueueStore({
+      backend,
+      path: settings.path ? path.resolve(__dirname, settings.path) : defaultPath,
+      lockTimeoutMs: settings.lock_timeout_ms,
+      staleLockMs: settings.stale_lock_ms,
+      importFrom: QUEUE_PATH,
+      log,
+      logError
+    });
+  }
+  return queueStore;
+}
+
 // Load or initialize queue
+// A corrupt queue file is restored from its backup; if that fails too this throws
+// rather than silently starting over with an empty queue.
 function loadQueue() {
-  try {
-    if (fs.existsSync(QUEUE_PATH)) {
-      return JSON.parse(fs.readFileSync(QUEUE_PATH, 'utf8'));
-    }
-  } catch (e) {
-    console.error('Failed to load queue:', e.message);
-  }
-  return { pending: [], posted: [], lastPostTime: null, postedHashes: [] };
+  return getQueueStore().load();
 }
 
 // Save queue
 function saveQueue(queue) {
-  fs.writeFileSync(QUEUE_PATH, JSON.stringify(queue, null, 2));
+  getQueueStore().save(queue);
+}
+
+// Read-modify-write the queue under the store lock; returns fn's result
+function updateQueue(fn) {
+  return getQueueStore().update(fn);
+}
+
+// Apply fn to the current copy of a pending item, if it is still pending
+function updatePendingItem(id, fn) {
+  return updateQueue(queue => {
+    const item = queue.pending.find(p => p.id === id);
+    return item ? fn(queue, item) : undefined;
+  });
+}
+
+// Logger, created on first use from settings.logging; redacts the configured credentials
+let logger = null;
+function getLogger() {
+  if (!logger) {
+    let settings = {};
+    try {
+      settings = loadConfig({ exitOnError: false }).settings || {};
+    } catch {
+      // Missing or unreadable config: log with the defaults; the error surfaces where the config is used
+    }
+    logger = createLogger({
+      logPath: LOG_PATH,
+      errorLogPath: ERROR_LOG_PATH,
+      settings: settings.logging,
+      secrets: collectSecrets(settings)
+    });
+  }
+  return logger;
 }
 
 // Log activity
-function log(message, type = 'info') {
-  const timestamp = new Date().toISOString();
-  const entry = `[${timestamp}] [${type.toUpperCase()}] ${message}\n`;
-  fs.appendFileSync(LOG_PATH, entry);
-  console.log(entry.trim());
+// fields (itemId, source, phase, destination) add to those from runWithLogContext()
+function log(message, type = 'info', fields = {}) {
+  getLogger().log(message, type, fields);
 }
 
 // Log error separately
-function logError(message, error) {
-  const timestamp = new Date().toISOString();
-  const errorEntry = `[${timestamp}] ERROR: ${message}\n`;
-  const stackEntry = error ? `[${timestamp}] STACK: ${error.stack || error}\n` : '';
-  
-  fs.appendFileSync(ERROR_LOG_PATH, errorEntry + stackEntry);
-  console.error(errorEntry.trim());
+function logError(message, error, fields = {}) {
+  getLogger().logError(message, error, fields);
 }
 
 // Generate content hash for duplicate detection
@@ -124,22 +214,24 @@ function generateContentHash(text, mediaType = 'text') {
   return crypto.createHash('sha256').update(content).digest('hex').substring(0, 16);
 }
 
-// Check for duplicate content
-function isDuplicateContent(queue, hash) {
-  if (!queue.postedHashes) {
-    queue.postedHashes = [];
-  }
-  return queue.postedHashes.includes(hash);
-}
-
 // Validate input
-function validateInput(item) {
+// maxTextLength comes from content_filter.max_text_length
+function validateInput(item, maxTextLength = 2200) {
   const errors = [];
   
-  if (!item.text || typeof item.text !== 'string') {
+  const hasMedia = item.mediaType && item.mediaType !== 'text';
+  if (item.text !== undefined && item.text !== null && typeof item.text !== 'string') {
+    errors.push('Text content must be a string');
+  } else if (!item.text && !hasMedia && !item.link) {
     errors.push('Text content is required');
-  } else if (item.text.length > 2200) {
-    errors.push('Text exceeds Facebook limit of 2200 characters');
+  } else if (item.text && item.text.length > maxTextLength) {
+    errors.push(`Text exceeds limit of ${maxTextLength} characters`);
+  }
+  
+  // Facebook only takes a link on text posts, and fails late on a bad one
+  if (item.link !== undefined && item.link !== null) {
+    if (hasMedia) errors.push('A link can only be attached to a text post');
+    else if (!isValidLink(item.link)) errors.push(`Invalid link URL "${item.link}" (needs http(s):// and a host name)`);
   }
   
   const validMediaTypes = ['text', 'image', 'video'];
@@ -147,16 +239,25 @@ function validateInput(item) {
     errors.push(`Invalid media type. Must be one of: ${validMediaTypes.join(', ')}`);
   }
   
+  if (item.media) {
+    if (!Array.isArray(item.media) || item.media.length < 2) {
+      errors.push('Multi-photo posts need at least 2 media entries');
+    } else if (item.media.length > MAX_ATTACHED_MEDIA) {
+      errors.push(`Multi-photo posts support at most ${MAX_ATTACHED_MEDIA} photos`);
+    } else if (item.media.some(m => m.mediaType !== 'image' || !(m.telegramFileId || m.mediaUrl))) {
+      errors.push('Every multi-photo entry must be an image with a telegramFileId or mediaUrl');
+    }
+  }
+  
   return {
     valid: errors.length === 0,
     errors
   };
 }
 
-// Validate configuration
-function validateConfig(config) {
+// Check one Page's credentials
+function validateFacebookSettings(fb) {
   const errors = [];
-  const fb = config?.settings?.facebook;
   
   if (!fb?.page_id || fb.page_id.includes('YOUR_')) {
     errors.push('Facebook Page ID is required');
@@ -166,6 +267,49 @@ function validateConfig(config) {
     errors.push('Facebook Access Token is required');
   }
   
+  return errors;
+}
+
+// Check an Instagram destination's credentials
+function validateInstagramSettings(ig) {
+  const errors = [];
+  
+  if (!ig?.ig_user_id || ig.ig_user_id.includes('YOUR_')) {
+    errors.push('Instagram user ID (ig_user_id) is required');
+  }
+  
+  if (!ig?.access_token || ig.access_token.includes('YOUR_')) {
+    errors.push('Instagram Access Token is required');
+  }
+  
+  return errors;
+}
+
+// Credential problems for one destination, whatever its type
+function validateDestinationSettings(destination) {
+  return destination.type === 'instagram' ? validateInstagramSettings(destination) : validateFacebookSettings(destination);
+}
+
+// Validate configuration
+// Every destination Page needs credentials and every route a known destination
+function validateConfig(config) {
+  const errors = [];
+  const settings = config?.settings;
+  
+  for (const [id, destination] of Object.entries(getDestinations(settings))) {
+    const prefix = id === DEFAULT_DESTINATION_ID ? '' : `Destination ${id}: `;
+    errors.push(...validateDestinationSettings(destination).map(error => prefix + error));
+  }
+  errors.push(...validateRouting(settings));
+  
+  // Permission and validity problems found by the last token check (see checkTokens)
+  for (const [id, token] of Object.entries(getTokenReport(config))) {
+    if (['invalid', 'expired', 'missing_scope'].includes(token.status)) {
+      const prefix = id === DEFAULT_DESTINATION_ID ? '' : `Destination ${id}: `;
+      errors.push(prefix + token.message);
+    }
+  }
+  
   return {
     valid: errors.length === 0,
     errors
@@ -173,9 +317,9 @@ function validateConfig(config) {
 }
 
 // Check rate limit
-function checkRateLimit() {
+function checkRateLimit(pageId) {
   const now = Date.now();
-  const timeSinceLastPost = now - rateLimiter.lastPostTime;
+  const timeSinceLastPost = now - (rateLimiter.lastPostTimes[pageId] || 0);
   
   if (timeSinceLastPost < rateLimiter.minInterval) {
     const waitTime = Math.ceil((rateLimiter.minInterval - timeSinceLastPost) / 1000);
@@ -190,41 +334,53 @@ function checkRateLimit() {
 }
 
 // Update rate limit
-function updateRateLimit() {
-  rateLimiter.lastPostTime = Date.now();
+function updateRateLimit(pageId) {
+  rateLimiter.lastPostTimes[pageId] = Date.now();
+}
+
+// Telegram Bot API base URL (overridable to use a local Bot API server)
+function getTelegramApiBase(config) {
+  const base = config?.settings?.telegram?.api_base_url || DEFAULT_TELEGRAM_API_BASE;
+  return base.replace(/\/+$/, '');
 }
 
-// Download file from Telegram
-async function downloadTelegramFile(fileId, botToken) {
+// Download file from Telegram, streamed to temp/ and checked against its size and checksum
+// Returns { path, size, sha256 }
+async function downloadTelegramMedia(fileId, botToken, apiBase = DEFAULT_TELEGRAM_API_BASE) {
   try {
-    const fileInfoResponse = await fetch(`https://api.telegram.org/bot${botToken}/getFile?file_id=${fileId}`);
+    const fileInfoResponse = await fetch(`${apiBase}/bot${botToken}/getFile?file_id=${fileId}`);
     const fileInfo = await fileInfoResponse.json();
     
     if (!fileInfo.ok || !fileInfo.result) {
-      throw new Error('Failed to get file info from Telegram');
+      const error = new Error(`Failed to get file info from Telegram: ${fileInfo.description || fileInfoResponse.status}`);
+      // 400 "file is too big", "wrong file_id" and the like won't change on a retry
+      const status = fileInfo.error_code || fileInfoResponse.status;
+      error.transient = !(status >= 400 && status < 500 && status !== 429);
+      throw error;
     }
     
     const filePath = fileInfo.result.file_path;
     const fileName = path.basename(filePath);
     const localPath = path.join(TEMP_DIR, `${Date.now()}_${fileName}`);
     
-    const fileUrl = `https://api.telegram.org/file/bot${botToken}/${filePath}`;
-    const fileResponse = await fetch(fileUrl);
+    const download = await downloadToFile(`${apiBase}/file/bot${botToken}/${filePath}`, localPath, {
+      expectedSize: fileInfo.result.file_size || null,
+      label: `Downloading ${fileName}`,
+      log
+    });
     
-    if (!fileResponse.ok) {
-      throw new Error(`Failed to download file: ${fileResponse.status}`);
-    }
-    
-    const buffer = Buffer.from(await fileResponse.arrayBuffer());
-    fs.writeFileSync(localPath, buffer);
-    
-    log(`Downloaded Telegram file: ${fileName} (${buffer.length} bytes)`);
-    return localPath;
+    log(`Downloaded Telegram file: ${fileName} (${download.size} bytes, ${download.sha256})`);
+    return download;
   } catch (error) {
-    throw new Error(`Telegram download failed: ${error.message}`);
+    throw new Error(`Telegram download failed: ${error.message}`, { cause: error });
   }
 }
 
+// Same, for callers that only need the local path
+async function downloadTelegramFile(fileId, botToken, apiBase = DEFAULT_TELEGRAM_API_BASE) {
+  return (await downloadTelegramMedia(fileId, botToken, apiBase)).path;
+}
+
 // Clean up temp file
 function cleanupTempFile(filePath) {
   try {
@@ -237,257 +393,1875 @@ function cleanupTempFile(filePath) {
   }
 }
 
+function isRemoteUrl(ref) {
+  return /^https?:\/\//i.test(ref || '');
+}
+
+// A mediaUrl that names a file on this machine
+function isLocalFile(ref) {
+  return Boolean(ref) && !isRemoteUrl(ref) && fs.existsSync(ref);
+}
+
+/**
+ * Inspect and hash the media of content about to be queued.
+ * Telegram files are downloaded once for both, up to media.inspect_max_bytes
+ * (or duplicates.hash_max_bytes for the hash), and the download is kept in
+ * temp/ as downloadedPath for the upload; remote URLs are inspected from
+ * their first bytes. Whatever can't be inspected now is checked at upload.
+ * @returns {Promise<Object>} the content with mediaHashes (one per file, for the
+ *   duplicate check) and mediaInfo on each media file
+ */
+function prepareContentMedia(content) {
+  return runWithLogContext({ phase: 'ingest', source: content.source }, () => inspectAndHashMedia(content));
+}
+
+async function inspectAndHashMedia(content) {
+  if (!content.mediaType || content.mediaType === 'text') return { ...content, mediaHashes: null };
+  const config = loadConfig();
+  const duplicates = getDuplicateSettings(config.settings);
+  const media = getMediaSettings(config.settings);
+  const hashing = config.settings.features?.duplicate_detection !== false;
+  const botToken = config.settings.telegram?.bot_token;
+
+  const hashes = [];
+  const entries = [];
+  for (const entry of content.media?.length ? content.media : [content]) {
+    const fits = limit => !entry.fileSize || entry.fileSize <= limit;
+    const hashDownload = hashing && duplicates.hash_media && fits(duplicates.hash_max_bytes);
+    let mediaInfo;
+    let hash = null;
+    let filePath = null;
+    let downloadedPath;
+    try {
+      if (entry.telegramFileId && botToken && (hashDownload || fits(media.inspect_max_bytes))) {
+        const download = await downloadTelegramMedia(entry.telegramFileId, botToken, getTelegramApiBase(config));
+        filePath = download.path;
+        mediaInfo = inspectFile(filePath);
+        if (hashDownload) hash = download.sha256;
+        downloadedPath = filePath;
+      } else if (isRemoteUrl(entry.mediaUrl) && !entry.telegramFileId) {
+        mediaInfo = await inspectRemote(entry.mediaUrl);
+      }
+    } catch (error) {
+      if (classifyError(error) === 'permanent') {
+        // The file isn't there (or Telegram won't hand it out); addToQueue reports it
+        mediaInfo = { format: null, error: error.message };
+      } else {
+        log(`Could not inspect ${entry.telegramFileId || entry.mediaUrl} before queueing, checking it at upload: ${error.message}`, 'warn');
+      }
+    } finally {
+      if (!downloadedPath) cleanupTempFile(filePath);
+    }
+    if (hashing) hashes.push(hash || mediaReference(entry));
+    entries.push(mediaInfo === undefined ? entry : { ...entry, mediaInfo, ...(downloadedPath ? { downloadedPath } : {}) });
+  }
+
+  const prepared = { ...content, mediaHashes: hashing ? hashes : null };
+  if (content.media?.length) prepared.media = entries;
+  else if (entries[0].mediaInfo !== undefined) Object.assign(prepared, { mediaInfo: entries[0].mediaInfo, downloadedPath: entries[0].downloadedPath });
+  return prepared;
+}
+
+// Delete the files prepareContentMedia() kept for content that was not queued
+function releaseDownloads(content) {
+  for (const entry of content.media?.length ? content.media : [content]) cleanupTempFile(entry.downloadedPath);
+}
+
+/**
+ * Local copy of a Telegram media file for upload: the one kept at ingest
+ * when it is still there and whole, else a fresh download.
+ * @returns {Promise<string>} path in temp/; the caller removes it
+ */
+async function getTelegramMediaFile(media, config) {
+  if (media.downloadedPath && fs.existsSync(media.downloadedPath) &&
+      (!media.mediaInfo?.size || fs.statSync(media.downloadedPath).size === media.mediaInfo.size)) {
+    return media.downloadedPath;
+  }
+  return downloadTelegramFile(media.telegramFileId, config.settings.telegram.bot_token, getTelegramApiBase(config));
+}
+
+// Downloads older than this that no queued item refers to are left over
+// (content rejected or removed before it was posted) and get deleted
+const STALE_DOWNLOAD_MS = 60 * 60 * 1000;
+
+function removeStaleDownloads(queue, now = Date.now()) {
+  const inUse = new Set();
+  for (const item of [...queue.pending, ...(queue.awaiting || []), ...(queue.dead || [])]) {
+    for (const entry of item.media?.length ? item.media : [item]) inUse.add(entry.downloadedPath);
+    inUse.add(item.videoUpload?.filePath);
+  }
+  for (const name of fs.readdirSync(TEMP_DIR)) {
+    const filePath = path.join(TEMP_DIR, name);
+    const stats = fs.statSync(filePath);
+    if (!stats.isFile() || name === '.gitkeep' || inUse.has(filePath) || now - stats.mtimeMs < STALE_DOWNLOAD_MS) continue;
+    cleanupTempFile(filePath);
+  }
+}
+
+/**
+ * Check content's media against Facebook's limits before it is queued.
+ * The detected MIME type and size replace what the source claimed; local
+ * files not inspected at ingest are inspected here.
+ * @returns {Object} { content, errors }
+ */
+function applyMediaInspection(content, settings) {
+  const errors = [];
+  const check = (entry, label) => {
+    let info = entry.mediaInfo;
+    if (info === undefined && entry.mediaUrl && !entry.telegramFileId && !isRemoteUrl(entry.mediaUrl)) {
+      if (!isLocalFile(entry.mediaUrl)) {
+        errors.push(`${label}Media file not found: ${entry.mediaUrl}`);
+        return entry;
+      }
+      info = inspectFile(entry.mediaUrl);
+    }
+    if (!info) return entry;
+    errors.push(...checkMediaLimits(info, entry.mediaType || content.mediaType, settings).map(error => label + error));
+    return { ...entry, mimeType: info.mimeType || entry.mimeType, fileSize: info.size || entry.fileSize, mediaInfo: info };
+  };
+
+  if (!content.mediaType || content.mediaType === 'text') return { content, errors };
+  if (content.media?.length) {
+    return { content: { ...content, media: content.media.map((entry, index) => check(entry, `Photo ${index + 1}: `)) }, errors };
+  }
+  return { content: check(content, ''), errors };
+}
+
+// Last check before an upload: media Facebook can't take fails permanently
+function assertPostable(info, mediaType, settings, label = 'Media') {
+  const errors = checkMediaLimits(info, mediaType, getMediaSettings(settings));
+  if (errors.length > 0) {
+    const error = new Error(`${label} rejected: ${errors.join('; ')}`);
+    error.transient = false;
+    throw error;
+  }
+  return info;
+}
+
+// Inspect a URL Facebook will fetch itself; anything else left in mediaUrl is a missing local file
+async function inspectMediaUrl(ref) {
+  if (!isRemoteUrl(ref)) {
+    const error = new Error(`Media file not found: ${ref}`);
+    error.transient = false;
+    throw error;
+  }
+  return inspectRemote(ref);
+}
+
+// Call a Bot API method with JSON parameters
+async function callTelegramApi(config, method, params) {
+  const botToken = config.settings.telegram?.bot_token;
+  if (!botToken || botToken.startsWith('${')) throw new Error('telegram.bot_token is not configured');
+  const res = await fetch(`${getTelegramApiBase(config)}/bot${botToken}/${method}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(params)
+  });
+  const data = await res.json();
+  if (!data.ok) throw new Error(`${method} failed: ${data.description || res.status}`);
+  return data.result;
+}
+
+// Send a message from the bot, e.g. an alert to the admin chat
+function sendTelegramMessage(config, chatId, text, extra = {}) {
+  return callTelegramApi(config, 'sendMessage', { chat_id: chatId, text, ...extra });
+}
+
+// Token cache: debug_token results keyed by a hash of the token, never the token itself
+function tokenCacheKey(token) {
+  return crypto.createHash('sha256').update(token).digest('hex').substring(0, 16);
+}
+
+function loadTokenCache() {
+  try {
+    return JSON.parse(fs.readFileSync(TOKEN_CACHE_PATH, 'utf8'));
+  } catch (e) {
+    return {};
+  }
+}
+
+function saveTokenCache(cache) {
+  fs.writeFileSync(TOKEN_CACHE_PATH, JSON.stringify(cache, null, 2));
+}
+
+async function graphGet(facebook, pathAndQuery, errorPrefix) {
+  const res = await fetch(`${getGraphBase(facebook)}/${pathAndQuery}`);
+  const data = await res.json();
+  if (data.error) throw new GraphApiError(data.error, errorPrefix);
+  return data;
+}
+
+// Exchange a short-lived user token for a long-lived one, then get the Page
+// token from it. A Page token obtained this way does not expire.
+async function exchangeToken(shortLivedToken, facebook) {
+  if (!facebook.app_id || !facebook.app_secret) {
+    throw new Error('facebook.app_id and facebook.app_secret are required to exchange tokens');
+  }
+  const params = new URLSearchParams({
+    grant_type: 'fb_exchange_token',
+    client_id: facebook.app_id,
+    client_secret: facebook.app_secret,
+    fb_exchange_token: shortLivedToken
+  });
+  const exchanged = await graphGet(facebook, `oauth/access_token?${params}`, 'Token exchange failed');
+  const page = await graphGet(facebook, `${facebook.page_id}?fields=access_token,name&access_token=${encodeURIComponent(exchanged.access_token)}`, 'Fetching the Page token failed');
+  if (!page.access_token) throw new Error(`No Page token returned for ${facebook.page_id}; is the user an admin of that Page?`);
+
+  return {
+    userToken: exchanged.access_token,
+    userTokenExpiresIn: exchanged.expires_in || null,
+    pageToken: page.access_token,
+    pageName: page.name || null
+  };
+}
+
+// Inspect a token with debug_token (app token when app_id/app_secret are set)
+async function inspectToken(token, facebook) {
+  const inspector = facebook.app_id && facebook.app_secret ? `${facebook.app_id}|${facebook.app_secret}` : token;
+  const params = new URLSearchParams({ input_token: token, access_token: inspector });
+  const { data = {} } = await graphGet(facebook, `debug_token?${params}`, 'debug_token failed');
+
+  return {
+    valid: data.is_valid === true,
+    type: data.type || null,
+    appId: data.app_id || null,
+    scopes: data.scopes || [],
+    // 0 means the token never expires
+    expiresAt: data.expires_at ? new Date(data.expires_at * 1000).toISOString() : null,
+    error: data.error?.message || null,
+    checkedAt: new Date().toISOString()
+  };
+}
+
+// Judge a cached inspection for one destination
+function evaluateToken(inspection, destination, warnDays, now = Date.now()) {
+  if (!inspection) return { status: 'unknown', message: 'Token has not been checked yet' };
+  if (!inspection.valid) {
+    return { status: 'invalid', message: `Access token is invalid${inspection.error ? `: ${inspection.error}` : ''}` };
+  }
+
+  const required = REQUIRED_SCOPES[destination.type] || REQUIRED_SCOPES.facebook;
+  const missing = required.filter(scope => !inspection.scopes.includes(scope));
+  if (missing.length > 0) {
+    return { status: 'missing_scope', message: `Access token is missing permission ${missing.join(', ')}` };
+  }
+
+  if (inspection.expiresAt) {
+    const daysLeft = (Date.parse(inspection.expiresAt) - now) / (24 * 60 * 60 * 1000);
+    if (daysLeft <= 0) return { status: 'expired', message: `Access token expired at ${inspection.expiresAt}` };
+    if (daysLeft <= warnDays) {
+      return { status: 'expiring', message: `Access token expires in ${Math.ceil(daysLeft)} day(s), at ${inspection.expiresAt}` };
+    }
+  }
+  return { status: 'ok', message: inspection.expiresAt ? `Valid until ${inspection.expiresAt}` : 'Valid, does not expire' };
+}
+
+// Token state per destination from the cache alone (no network)
+function getTokenReport(config, cache = loadTokenCache()) {
+  const { warn_days } = { ...DEFAULT_TOKEN_SETTINGS, ...(config.settings.tokens || {}) };
+  const report = {};
+  for (const [id, destination] of Object.entries(getDestinations(config.settings))) {
+    if (validateDestinationSettings(destination).length > 0) continue;
+    const inspection = cache[tokenCacheKey(destination.access_token)];
+    report[id] = {
+      ...evaluateToken(inspection, destination, warn_days),
+      expiresAt: inspection?.expiresAt || null,
+      scopes: inspection?.scopes || [],
+      checkedAt: inspection?.checkedAt || null
+    };
+  }
+  return report;
+}
+
+/**
+ * Re-inspect tokens whose cached result is older than refresh_hours (or all
+ * of them with force), then warn about problems: error log, and a Telegram
+ * message to tokens.alert_chat_id at most once a day per problem.
+ * @returns {Object} report per destination id (see getTokenReport)
+ */
+async function checkTokens(config, { force = false } = {}) {
+  const tokenSettings = { ...DEFAULT_TOKEN_SETTINGS, ...(config.settings.tokens || {}) };
+  const cache = loadTokenCache();
+  const staleBefore = new Date(Date.now() - tokenSettings.refresh_hours * 60 * 60 * 1000).toISOString();
+
+  for (const [id, destination] of Object.entries(getDestinations(config.settings))) {
+    if (validateDestinationSettings(destination).length > 0) continue;
+    const key = tokenCacheKey(destination.access_token);
+    if (!force && cache[key] && cache[key].checkedAt > staleBefore) continue;
+    try {
+      cache[key] = { ...cache[key], ...(await inspectToken(destination.access_token, destination)) };
+    } catch (error) {
+      // Can't reach the API: keep the last known state and try again next time
+      if (classifyError(error) === 'transient') log(`Token check for ${id} failed: ${error.message}`, 'warn');
+      else cache[key] = { ...cache[key], valid: false, error: error.message, scopes: [], checkedAt: new Date().toISOString() };
+    }
+  }
+
+  const report = getTokenReport(config, cache);
+  const alertBefore = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  for (const [id, token] of Object.entries(report)) {
+    if (token.status === 'ok' || token.status === 'unknown') continue;
+    const entry = cache[tokenCacheKey(getDestinations(config.settings)[id].access_token)];
+    if (entry.alertedStatus === token.status && entry.alertedAt > alertBefore) continue;
+
+    logError(`Token for destination ${id}: ${token.message}`);
+    if (tokenSettings.alert_chat_id) {
+      try {
+        await sendTelegramMessage(config, tokenSettings.alert_chat_id, `⚠️ Facebook token for ${id}: ${token.message}`);
+      } catch (error) {
+        logError(`Could not send token alert for ${id}`, error);
+      }
+    }
+    entry.alertedStatus = token.status;
+    entry.alertedAt = new Date().toISOString();
+  }
+
+  saveTokenCache(cache);
+  return report;
+}
+
+// Keep an audit trail of rejected content (settings.content_filter.audit_limit entries)
+function recordRejection(content, verdict, stage, details = {}) {
+  const config = loadConfig();
+  const limit = config.settings.content_filter?.audit_limit ?? 500;
+  const entry = {
+    at: new Date().toISOString(),
+    stage,
+    source: content.source || null,
+    sourceId: content.sourceId || null,
+    mediaType: content.mediaType || 'text',
+    reason: verdict.reason,
+    rule: verdict.rule || null,
+    message: verdict.message,
+    text: (content.text || '').substring(0, 200),
+    ...details
+  };
+  updateQueue(queue => {
+    if (!queue.rejected) queue.rejected = [];
+    queue.rejected.push(entry);
+    if (queue.rejected.length > limit) queue.rejected.splice(0, queue.rejected.length - limit);
+  });
+  log(`Rejected content from ${entry.source || 'unknown'} at ${stage}: ${verdict.message}`, 'warn');
+}
+
+// Run the content filter and record a rejection; returns the verdict
+function filterContent(content, stage = 'ingest') {
+  const verdict = checkContent(content, loadConfig().settings);
+  if (!verdict.allowed) recordRejection(content, verdict, stage);
+  return verdict;
+}
+
 // Add content to queue
 function addToQueue(content) {
-  const validation = validateInput(content);
+  const result = runWithLogContext({ phase: 'queue', source: content.source }, () => queueContent(content));
+  if (!result.success) releaseDownloads(content);
+  return result;
+}
+
+function queueContent(content) {
+  const config = loadConfig();
+  const filter = getFilterSettings(config.settings, content.source, content.sourceId);
+  const verdict = filterContent(content, 'queue');
+  if (!verdict.allowed) {
+    return { success: false, reason: verdict.reason, message: verdict.message };
+  }
+  
+  // Pages this content goes to, each of which may filter it further
+  const routed = content.destinations || resolveDestinations(config.settings, { chatId: content.sourceId, title: content.source });
+  if (routed.length === 0) {
+    log(`No destination for source ${content.source}, skipping`, 'warn');
+    return { success: false, reason: 'no_destination', message: `No route for source ${content.source}` };
+  }
+  let destinationIds = routed.filter(id => {
+    const destinationVerdict = checkContent(content, getDestinationSettings(config.settings, id));
+    if (!destinationVerdict.allowed) recordRejection(content, destinationVerdict, `destination:${id}`);
+    return destinationVerdict.allowed;
+  });
+  if (destinationIds.length === 0) {
+    return { success: false, reason: 'filtered', message: `Rejected by the filters of ${routed.join(', ')}` };
+  }
+  
+  // Entities, control hashtags and templates -> the caption we actually post
+  const originalText = content.text || '';
+  const caption = transformCaption(content, config.settings);
+  const text = caption.text;
+  const link = content.link ?? caption.link;
+  
+  const validation = validateInput({ ...content, text, link }, filter.max_text_length);
   if (!validation.valid) {
     log(`Validation failed: ${validation.errors.join(', ')}`, 'warn');
     return { success: false, errors: validation.errors };
   }
   
-  const queue = loadQueue();
-  const contentHash = generateContentHash(content.text, content.mediaType);
+  // Real format, size and duration, from the bytes rather than what the source claimed
+  const inspected = applyMediaInspection(content, getMediaSettings(config.settings));
+  if (inspected.errors.length > 0) {
+    log(`Media check failed: ${inspected.errors.join(', ')}`, 'warn');
+    return { success: false, reason: 'invalid_media', message: inspected.errors.join('; '), errors: inspected.errors };
+  }
+  const checked = inspected.content;
   
-  if (isDuplicateContent(queue, contentHash)) {
-    log(`Duplicate content detected, skipping: ${content.text.substring(0, 50)}...`, 'warn');
-    return { success: false, reason: 'duplicate' };
+  // Instagram has its own caption and media rules; check them before queueing
+  const destinations = getDestinations(config.settings);
+  const instagramRejected = destinationIds.filter(id => {
+    if (destinations[id].type !== 'instagram') return false;
+    const errors = validateInstagramItem({ ...checked, text });
+    if (errors.length > 0) {
+      recordRejection(content, { reason: 'instagram_constraints', message: errors.join('; ') }, `destination:${id}`);
+    }
+    return errors.length > 0;
+  });
+  if (instagramRejected.length === destinationIds.length) {
+    return { success: false, reason: 'instagram_constraints', message: `Not publishable to ${instagramRejected.join(', ')}` };
   }
+  destinationIds = destinationIds.filter(id => !instagramRejected.includes(id));
+  
+  // Fingerprint what was sent, not the caption: templates carry the date.
+  // Media hashed at ingest (prepareContentMedia) is compared by content, anything else by reference
+  const mediaHashes = content.mediaHashes ||
+    (content.mediaType && content.mediaType !== 'text' ? (content.media?.length ? content.media : [content]).map(mediaReference) : []);
+  const fingerprint = buildFingerprint(stripControlHashtags(originalText, config.settings, content.source, content.sourceId), content.mediaType, mediaHashes);
+  const contentHash = generateContentHash(`${fingerprint.text}\n${fingerprint.media.join(',')}`, fingerprint.mediaType);
+  const duplicates = getDuplicateSettings(config.settings);
+  const checkDuplicates = config.settings.features?.duplicate_detection !== false;
+  const force = caption.controlTags.includes('#force');
+  
+  // With moderation on, items wait outside the pending list until approved
+  const awaitingApproval = config.settings.moderation?.enabled === true;
   
   const item = {
-    id: Date.now().toString(),
+    id: null,
     source: content.source,
-    text: content.text,
+    sourceId: content.sourceId || null,
+    text: text,
+    originalText: originalText,
+    link: link ? tagLink(link, config.settings, content.source, content.sourceId) : null,
+    postNow: caption.postNow || Boolean(content.postNow),
     mediaUrl: content.mediaUrl || null,
     mediaType: content.mediaType || 'text',
     telegramFileId: content.telegramFileId || null,
+    media: checked.media || null,
+    telegram: content.telegram || null,
+    mimeType: checked.mimeType || null,
+    fileSize: checked.fileSize || null,
+    mediaInfo: checked.mediaInfo || null,
+    downloadedPath: checked.downloadedPath || null,
     contentHash: contentHash,
+    fingerprint,
     addedAt: new Date().toISOString(),
     scheduledFor: null,
-    status: 'pending'
+    status: awaitingApproval ? 'awaiting_approval' : 'pending',
+    targets: Object.fromEntries(destinationIds.map(id => [id, newTarget()]))
   };
   
-  queue.pending.push(item);
-  saveQueue(queue);
+  let duplicate = null;
+  const added = updateQueue(queue => {
+    // Caption-only hashes from before fingerprints can't be compared with them
+    delete queue.postedHashes;
+    queue.fingerprints = pruneFingerprints(queue.fingerprints, duplicates.lookback_days);
+    if (checkDuplicates) {
+      duplicate = findDuplicate(fingerprint, [...queue.fingerprints, ...queue.pending, ...(queue.awaiting || [])], duplicates);
+      if (duplicate && !force) return false;
+    }
+    
+    // Several processes may add at the same millisecond; keep ids unique
+    const ids = new Set([...queue.pending, ...(queue.awaiting || []), ...queue.posted, ...(queue.dead || [])].map(i => i.id));
+    let id = Date.now();
+    while (ids.has(id.toString())) id++;
+    item.id = id.toString();
+    
+    if (awaitingApproval) {
+      if (!queue.awaiting) queue.awaiting = [];
+      queue.awaiting.push(item);
+    } else {
+      queue.pending.push(item);
+    }
+    return true;
+  });
+  if (added) addLogContext({ itemId: item.id });
+  
+  if (!added) {
+    const message = `Duplicate of ${duplicate.id} (${Math.round(duplicate.similarity * 100)}% similar); add #force to post it anyway`;
+    recordRejection(content, { reason: 'duplicate', message }, 'queue', { duplicateOf: duplicate.id, similarity: duplicate.similarity });
+    return { success: false, reason: 'duplicate', message, duplicateOf: duplicate.id };
+  }
+  if (duplicate) log(`Queued ${item.id} despite being a duplicate of ${duplicate.id} (#force)`, 'warn');
   
-  log(`Added to queue: ${item.id} (${item.mediaType}) [hash: ${contentHash}]`);
-  schedulePosts();
+  log(`Added to queue: ${item.id} (${item.mediaType}) -> ${destinationIds.join(', ')} [hash: ${contentHash}]`);
+  if (awaitingApproval) {
+    log(`${item.id} is awaiting approval`);
+    return { success: true, item, awaitingApproval: true };
+  }
+  const assigned = schedulePosts()[item.id] || {};
+  for (const [id, time] of Object.entries(assigned)) item.targets[id].scheduledFor = time;
+  syncItemSummary(item);
   
   return { success: true, item };
 }
 
-// Calculate next schedule time
-function getNextScheduleTime(config) {
-  const now = new Date();
-  const times = config.settings.schedule.post_times;
-  const timezone = config.settings.schedule.timezone || 'Asia/Bangkok';
-  const tzNow = new Date(now.toLocaleString('en-US', { timeZone: timezone }));
-  const currentTime = tzNow.getHours() * 60 + tzNow.getMinutes();
-  
-  for (const timeStr of times) {
-    const [hour, minute] = timeStr.split(':').map(Number);
-    if (hour * 60 + minute > currentTime) {
-      const scheduled = new Date(tzNow);
-      scheduled.setHours(hour, minute, 0, 0);
-      return scheduled.toISOString();
+// Publish state of an item on one destination
+function newTarget() {
+  return { status: 'pending', scheduledFor: null, attempts: 0 };
+}
+
+// Still to be published by us
+function isOpenTarget(target) {
+  return target.status === 'pending' || target.status === 'failed';
+}
+
+// Done with, one way or another; handed_off targets are still Facebook's to publish
+function isSettledTarget(target) {
+  return ['posted', 'dead', 'cancelled', 'deleted'].includes(target.status);
+}
+
+// Items queued before routing existed carry their state on the item itself;
+// move it into a target for each destination their source routes to
+function migrateLegacyItem(item, settings) {
+  if (item.targets) return false;
+  const routed = resolveDestinations(settings, { chatId: item.sourceId, title: item.source });
+  const ids = routed.length > 0 ? routed : Object.keys(getDestinations(settings)).slice(0, 1);
+  item.targets = {};
+  for (const id of ids) {
+    item.targets[id] = {
+      status: item.status === 'failed' || item.status === 'dead' ? item.status : 'pending',
+      scheduledFor: item.scheduledFor || null,
+      attempts: item.attempts || 0
+    };
+    for (const key of ['nextAttemptAt', 'lastAttemptAt', 'error', 'videoUpload', 'deadReason']) {
+      if (item[key] !== undefined) item.targets[id][key] = item[key];
     }
   }
-  
-  const [firstHour, firstMinute] = times[0].split(':').map(Number);
-  const tomorrow = new Date(tzNow);
-  tomorrow.setDate(tomorrow.getDate() + 1);
-  tomorrow.setHours(firstHour, firstMinute, 0, 0);
-  return tomorrow.toISOString();
+  ['attempts', 'nextAttemptAt', 'lastAttemptAt', 'videoUpload'].forEach(key => delete item[key]);
+  return true;
+}
+
+function migrateQueue(queue, settings) {
+  const migrated = [...queue.pending, ...(queue.dead || [])].filter(item => migrateLegacyItem(item, settings));
+  if (migrated.length > 0) log(`Migrated ${migrated.length} queued item(s) to per-destination targets`);
+}
+
+// Keep the item-level fields (status, scheduledFor, error) summarising its targets
+function syncItemSummary(item) {
+  const open = Object.values(item.targets).filter(t => !isSettledTarget(t));
+  const times = open.map(t => t.scheduledFor).filter(Boolean).sort();
+  item.scheduledFor = times[0] || null;
+  if (open.some(t => t.status === 'failed')) item.status = 'failed';
+  else if (open.length > 0 && open.every(t => t.status === 'handed_off')) item.status = 'handed_off';
+  else item.status = 'pending';
+  const failed = Object.entries(item.targets).filter(([, t]) => t.error);
+  if (failed.length > 0) item.error = failed.map(([id, t]) => `${id}: ${t.error}`).join('; ');
+  else delete item.error;
+}
+
+// Run a scheduler function once per destination, over the targets still
+// waiting on that destination, with that destination's schedule.
+// Returns a map of item id -> { destination id -> time } for targets it moved.
+function scheduleTargets(queue, config, schedulerFn, onlyDestination) {
+  const changed = {};
+  for (const destinationId of Object.keys(getDestinations(config.settings))) {
+    if (onlyDestination && destinationId !== onlyDestination) continue;
+    const views = [];
+    for (const item of queue.pending) {
+      const target = item.targets?.[destinationId];
+      if (!target || isSettledTarget(target)) continue;
+      // Handed-off posts hold their slot; moving them takes an API call
+      views.push({
+        id: item.id,
+        text: item.text,
+        postNow: item.postNow,
+        addedAt: item.addedAt,
+        pinned: target.pinned === true || item.pinned === true || target.status === 'handed_off',
+        scheduledFor: target.scheduledFor || null,
+        target
+      });
+    }
+
+    const result = schedulerFn({ pending: views }, getDestinationSettings(config.settings, destinationId).schedule);
+    for (const view of views) view.target.scheduledFor = view.scheduledFor;
+    for (const [id, time] of Object.entries(result)) {
+      changed[id] = { ...changed[id], [destinationId]: time };
+    }
+  }
+  queue.pending.filter(item => item.targets && changed[item.id]).forEach(syncItemSummary);
+  return changed;
 }
 
 // Schedule pending posts
+// Every unscheduled target gets the next free slot of its destination
+// (see scheduler.js); returns item id -> { destination id -> time }
 function schedulePosts() {
   const config = loadConfig();
-  const queue = loadQueue();
-  const unscheduled = queue.pending.filter(item => !item.scheduledFor);
-  if (unscheduled.length === 0) return;
-  
-  const postsPerDay = config.settings.schedule.posts_per_day || 2;
-  const toSchedule = unscheduled.slice(0, postsPerDay);
-  
-  for (const item of toSchedule) {
-    item.scheduledFor = getNextScheduleTime(config);
-    log(`Scheduled ${item.id} for ${item.scheduledFor}`);
+  const assigned = updateQueue(queue => {
+    migrateQueue(queue, config.settings);
+    return scheduleTargets(queue, config, allocateSlots);
+  });
+  for (const [id, times] of Object.entries(assigned)) {
+    for (const [destinationId, time] of Object.entries(times)) {
+      log(`Scheduled ${id} on ${destinationId} for ${time}`, 'info', { phase: 'schedule', itemId: id, destination: destinationId });
+    }
   }
-  saveQueue(queue);
+  return assigned;
 }
 
-// Multipart Form Data Helper
-function createMultipartFormData(fields, filePath, fileFieldName, mimeType = 'application/octet-stream') {
-  const boundary = '----FormBoundary' + Math.random().toString(36).substring(2);
-  const chunks = [];
-  for (const [key, value] of Object.entries(fields)) {
-    chunks.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${key}"\r\n\r\n${value}\r\n`));
+// Re-pack future slots after items left the queue
+function reflowQueue(queue, config, destinationId) {
+  const changed = scheduleTargets(queue, config, reflowSchedule, destinationId);
+  for (const [id, times] of Object.entries(changed)) {
+    for (const [destId, time] of Object.entries(times)) {
+      log(`Rescheduled ${id} on ${destId} to ${time}`, 'info', { phase: 'schedule', itemId: id, destination: destId });
+    }
   }
-  if (filePath && fs.existsSync(filePath)) {
-    chunks.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${fileFieldName}"; filename="${path.basename(filePath)}"\r\nContent-Type: ${mimeType}\r\n\r\n`));
-    chunks.push(fs.readFileSync(filePath));
-    chunks.push(Buffer.from(`\r\n`));
+  return changed;
+}
+
+// Send one transfer-phase chunk; the response tells us which range to send next
+async function transferVideoChunk(baseUrl, accessToken, upload, videoPath, mimeType) {
+  const formData = createMultipartFormData({
+    upload_phase: 'transfer',
+    upload_session_id: upload.sessionId,
+    start_offset: String(upload.startOffset),
+    access_token: accessToken
+  }, { path: videoPath, start: upload.startOffset, end: upload.endOffset, filename: path.basename(videoPath) }, 'video_file_chunk', mimeType);
+
+  const res = await postMultipart(baseUrl, formData);
+  const data = await res.json();
+  if (data.error) {
+    throw new GraphApiError(data.error, `Video Transfer failed at offset ${upload.startOffset}`);
   }
-  chunks.push(Buffer.from(`--${boundary}--\r\n`));
-  return { body: Buffer.concat(chunks), boundary: boundary };
+  return data;
 }
 
 // Resumable Video Upload
-async function postVideoToFacebook(item, config, videoPath) {
-  const { page_id, access_token, api_version } = config.settings.facebook;
-  const baseUrl = `https://graph.facebook.com/${api_version}/${page_id}/videos`;
-  const stats = fs.statSync(videoPath);
-  const fileSize = stats.size;
-
-  log(`Phase 1: Initializing video upload for ${path.basename(videoPath)} (${fileSize} bytes)`);
-  const initRes = await fetch(baseUrl, {
-    method: 'POST',
-    body: new URLSearchParams({ upload_phase: 'start', access_token, file_size: fileSize })
-  });
-  const initData = await initRes.json();
-  if (initData.error) throw new Error(`Video Init failed: ${initData.error.message}`);
-  
-  const uploadSessionId = initData.upload_session_id;
+// Upload progress lives on item.videoUpload; onProgress is called after every
+// acknowledged chunk so the caller can persist it and a later run can resume.
+async function postVideoToFacebook(item, config, videoPath, onProgress = () => {}, publishFields = {}) {
+  const { page_id, access_token } = config.settings.facebook;
+  const baseUrl = `${getGraphBase(config.settings.facebook)}/${page_id}/videos`;
+  const maxChunkRetries = config.settings.facebook.video_chunk_retries ?? DEFAULT_VIDEO_CHUNK_RETRIES;
+  const { mimeType, size: fileSize } = assertPostable(inspectFile(videoPath), 'video', config.settings, 'Video');
+
+  let upload = item.videoUpload;
+  if (upload && upload.fileSize !== fileSize) {
+    log(`Discarding upload session ${upload.sessionId}: file size changed (${upload.fileSize} -> ${fileSize})`, 'warn');
+    upload = null;
+  }
+  const resumed = Boolean(upload);
+
+  if (!upload) {
+    log(`Phase 1: Initializing video upload for ${path.basename(videoPath)} (${fileSize} bytes)`);
+    const initRes = await fetch(baseUrl, {
+      method: 'POST',
+      body: new URLSearchParams({ upload_phase: 'start', access_token, file_size: fileSize })
+    });
+    const initData = await initRes.json();
+    if (initData.error) throw new GraphApiError(initData.error, 'Video Init failed');
+
+    upload = {
+      sessionId: initData.upload_session_id,
+      videoId: initData.video_id,
+      fileSize,
+      filePath: videoPath,
+      startOffset: Number(initData.start_offset),
+      endOffset: Number(initData.end_offset),
+      startedAt: new Date().toISOString()
+    };
+    item.videoUpload = upload;
+    onProgress(item);
+  } else {
+    upload.filePath = videoPath;
+    log(`Phase 1: Resuming upload session ${upload.sessionId} at offset ${upload.startOffset}/${fileSize}`);
+  }
 
   log(`Phase 2: Transferring video data...`);
-  const formData = createMultipartFormData({
-    upload_phase: 'transfer',
-    upload_session_id: uploadSessionId,
-    start_offset: '0',
-    access_token: access_token
-  }, videoPath, 'video_file_chunk', 'video/mp4');
+  let transferred = 0;
+  while (upload.startOffset < upload.endOffset) {
+    let transferData;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        transferData = await transferVideoChunk(baseUrl, access_token, upload, videoPath, mimeType);
+        break;
+      } catch (error) {
+        if (attempt > maxChunkRetries) {
+          // A resumed session the API no longer accepts is useless; start fresh next run
+          if (resumed && transferred === 0 && error instanceof GraphApiError) {
+            log(`Upload session ${upload.sessionId} rejected, will restart the upload next run`, 'warn');
+            delete item.videoUpload;
+            onProgress(item);
+          }
+          throw error;
+        }
+        const delay = 1000 * 2 ** (attempt - 1);
+        log(`Chunk at offset ${upload.startOffset} failed (attempt ${attempt}/${maxChunkRetries + 1}), retrying in ${delay / 1000}s: ${error.message}`, 'warn');
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
 
-  const transferRes = await fetch(baseUrl, {
-    method: 'POST',
-    headers: { 'Content-Type': `multipart/form-data; boundary=${formData.boundary}` },
-    body: formData.body
-  });
-  const transferData = await transferRes.json();
-  if (transferData.error) throw new Error(`Video Transfer failed: ${transferData.error.message}`);
+    upload.startOffset = Number(transferData.start_offset);
+    upload.endOffset = Number(transferData.end_offset);
+    upload.updatedAt = new Date().toISOString();
+    transferred++;
+    onProgress(item);
+    log(`Transferred ${upload.startOffset}/${fileSize} bytes (${Math.floor((upload.startOffset / fileSize) * 100)}%)`);
+  }
 
   log(`Phase 3: Finishing video upload...`);
   const finishRes = await fetch(baseUrl, {
     method: 'POST',
     body: new URLSearchParams({
       upload_phase: 'finish',
-      upload_session_id: uploadSessionId,
+      upload_session_id: upload.sessionId,
       access_token: access_token,
-      description: item.text
+      description: item.text,
+      ...publishFields
     })
   });
   const finishData = await finishRes.json();
-  if (finishData.error) throw new Error(`Video Finish failed: ${finishData.error.message}`);
-  
-  return finishData;
+  if (finishData.error) throw new GraphApiError(finishData.error, 'Video Finish failed');
+
+  delete item.videoUpload;
+  onProgress(item);
+  return { ...finishData, id: finishData.id || upload.videoId };
 }
 
-// Post to Facebook
-async function postToFacebook(item, config) {
-  if (config.settings.dry_run === true) {
-    log(`[DRY RUN] Would post: ${item.text.substring(0, 100)}...`, 'dryrun');
-    return { id: 'dry-run-' + Date.now(), dryRun: true };
-  }
-  
-  const validation = validateConfig(config);
-  if (!validation.valid) throw new Error(`Config error: ${validation.errors.join(', ')}`);
+// Multi-photo post: upload each photo unpublished, then attach them to one feed post.
+// The uploaded photo ids are kept on item.photoUpload (onProgress after each), so
+// a retry attaches them instead of uploading the photos again and orphaning the first set.
+async function postMultiPhotoToFacebook(item, config, publishFields = {}, onProgress = () => {}) {
+  const { page_id, access_token } = config.settings.facebook;
+  const baseUrl = getGraphBase(config.settings.facebook);
+  const botToken = config.settings.telegram?.bot_token;
+  const tempFiles = [];
+
+  try {
+    const earlier = item.photoUpload?.mediaIds || [];
+    const mediaIds = earlier.length <= item.media.length ? [...earlier] : [];
+    item.photoUpload = { mediaIds };
+    for (const [index, media] of item.media.entries()) {
+      if (mediaIds[index]) {
+        log(`Reusing photo ${index + 1}/${item.media.length} uploaded earlier: ${mediaIds[index]}`);
+        continue;
+      }
+
+      let mediaPath = media.mediaUrl;
+      if (media.telegramFileId && botToken) {
+        mediaPath = await getTelegramMediaFile(media, config);
+        tempFiles.push(mediaPath);
+      }
+
+      const label = `Photo ${index + 1}/${item.media.length}`;
+      let res;
+      if (mediaPath && fs.existsSync(mediaPath)) {
+        const { mimeType, size } = assertPostable(inspectFile(mediaPath), 'image', config.settings, label);
+        const formData = createMultipartFormData({ published: 'false', access_token }, { path: mediaPath, filename: path.basename(mediaPath) },
+          'source', mimeType, createProgressReporter(`Uploading ${label}`, size, log));
+        res = await postMultipart(`${baseUrl}/${page_id}/photos`, formData);
+      } else {
+        assertPostable(await inspectMediaUrl(mediaPath), 'image', config.settings, label);
+        res = await fetch(`${baseUrl}/${page_id}/photos`, {
+          method: 'POST',
+          body: new URLSearchParams({ url: mediaPath, published: 'false', access_token })
+        });
+      }
+      const data = await res.json();
+      if (data.error) throw new GraphApiError(data.error, `${label} upload failed`);
+
+      log(`Uploaded unpublished photo ${index + 1}/${item.media.length}: ${data.id}`);
+      mediaIds.push(data.id);
+      onProgress(item);
+    }
+
+    const res = await fetch(`${baseUrl}/${page_id}/feed`, {
+      method: 'POST',
+      body: new URLSearchParams({
+        message: item.text,
+        attached_media: JSON.stringify(mediaIds.map(id => ({ media_fbid: id }))),
+        access_token,
+        ...publishFields
+      })
+    });
+    return await res.json();
+  } finally {
+    tempFiles.forEach(cleanupTempFile);
+  }
+}
+
+// Post to Facebook
+// options.onProgress persists partial progress (video and multi-photo uploads) between runs;
+// options.scheduledPublishTime (unix seconds) creates an unpublished post
+// that Facebook publishes itself at that time
+async function postToFacebook(item, config, options = {}) {
+  const publishFields = options.scheduledPublishTime
+    ? { published: 'false', scheduled_publish_time: String(options.scheduledPublishTime) }
+    : { published: 'true' };
+  
+  if (config.settings.dry_run === true) {
+    const when = options.scheduledPublishTime ? ` (scheduled for ${new Date(options.scheduledPublishTime * 1000).toISOString()})` : '';
+    log(`[DRY RUN] Would post${when}: ${item.text.substring(0, 100)}...`, 'dryrun');
+    return { id: 'dry-run-' + Date.now(), dryRun: true };
+  }
   
-  const rateLimit = checkRateLimit();
-  if (!rateLimit.allowed) throw new Error(rateLimit.message);
+  const configErrors = validateFacebookSettings(config.settings.facebook);
+  if (configErrors.length > 0) {
+    const error = new Error(`Config error: ${configErrors.join(', ')}`);
+    error.transient = false;
+    throw error;
+  }
+  
+  const { page_id, access_token } = config.settings.facebook;
+  // Scheduled posts stay invisible until their time, so they don't count against the limit
+  const rateLimit = options.scheduledPublishTime ? { allowed: true } : checkRateLimit(page_id);
+  if (!rateLimit.allowed) {
+    const error = new Error(rateLimit.message);
+    error.transient = true;
+    error.retryAfterSeconds = rateLimit.waitTime;
+    throw error;
+  }
   
-  const { page_id, access_token, api_version } = config.settings.facebook;
-  const baseUrl = `https://graph.facebook.com/${api_version}`;
+  const baseUrl = getGraphBase(config.settings.facebook);
   let tempFilePath = null;
   let result;
 
   try {
+    if (item.media && item.media.length > 1) {
+      result = await postMultiPhotoToFacebook(item, config, publishFields, options.onProgress);
+      if (result.error) throw new GraphApiError(result.error);
+      if (!options.scheduledPublishTime) updateRateLimit(page_id);
+      return result;
+    }
+
     let mediaPath = item.mediaUrl;
-    if (item.telegramFileId && config.settings.telegram?.bot_token) {
-      mediaPath = await downloadTelegramFile(item.telegramFileId, config.settings.telegram.bot_token);
+    if (item.videoUpload?.filePath && fs.existsSync(item.videoUpload.filePath)) {
+      // Resume with the file the interrupted upload was reading from
+      mediaPath = item.videoUpload.filePath;
+      tempFilePath = mediaPath.includes(TEMP_DIR) ? mediaPath : null;
+    } else if (item.telegramFileId && config.settings.telegram?.bot_token) {
+      mediaPath = await getTelegramMediaFile(item, config);
       tempFilePath = mediaPath;
     }
 
     if (item.mediaType === 'video' && mediaPath && fs.existsSync(mediaPath)) {
-      result = await postVideoToFacebook(item, config, mediaPath);
+      result = await postVideoToFacebook(item, config, mediaPath, options.onProgress, publishFields);
     } else if (item.mediaType === 'image' && mediaPath && fs.existsSync(mediaPath)) {
-      const formData = createMultipartFormData({ caption: item.text, published: 'true', access_token }, mediaPath, 'file', 'image/jpeg');
-      const res = await fetch(`${baseUrl}/${page_id}/photos`, {
-        method: 'POST',
-        headers: { 'Content-Type': `multipart/form-data; boundary=${formData.boundary}` },
-        body: formData.body
-      });
+      const { mimeType, size } = assertPostable(inspectFile(mediaPath), 'image', config.settings, 'Image');
+      const formData = createMultipartFormData({ caption: item.text, ...publishFields, access_token }, { path: mediaPath, filename: path.basename(mediaPath) },
+        'file', mimeType, createProgressReporter('Uploading image', size, log));
+      const res = await postMultipart(`${baseUrl}/${page_id}/photos`, formData);
       result = await res.json();
     } else if (item.mediaType === 'image' && mediaPath) {
+      // Facebook fetches the URL itself; check what it will find first
+      assertPostable(await inspectMediaUrl(mediaPath), 'image', config.settings, 'Image');
       const res = await fetch(`${baseUrl}/${page_id}/photos`, {
         method: 'POST',
-        body: new URLSearchParams({ url: mediaPath, caption: item.text, published: 'true', access_token })
+        body: new URLSearchParams({ url: mediaPath, caption: item.text, ...publishFields, access_token })
       });
       result = await res.json();
     } else {
       const res = await fetch(`${baseUrl}/${page_id}/feed`, {
         method: 'POST',
-        body: new URLSearchParams({ message: item.text, access_token })
+        body: new URLSearchParams({
+          message: item.text,
+          ...(item.link ? { link: item.link } : {}),
+          access_token,
+          ...(options.scheduledPublishTime ? publishFields : {})
+        })
       });
       result = await res.json();
     }
 
-    if (result.error) throw new Error(result.error.message);
-    updateRateLimit();
+    if (result.error) throw new GraphApiError(result.error);
+    if (!options.scheduledPublishTime) updateRateLimit(page_id);
+    return result;
+  } finally {
+    // Keep the download while an upload session can still resume from it
+    if (tempFilePath && !item.videoUpload) cleanupTempFile(tempFilePath);
+  }
+}
+
+// Give Instagram a public URL for one image/video, staging local and Telegram files
+async function resolvePublicMediaUrl(media, config, cleanup) {
+  if (/^https?:\/\//i.test(media.mediaUrl || '') && !media.telegramFileId) {
+    return media.mediaUrl;
+  }
+
+  let localPath = media.mediaUrl;
+  if (media.telegramFileId && config.settings.telegram?.bot_token) {
+    localPath = await getTelegramMediaFile(media, config);
+    cleanup.push(() => cleanupTempFile(localPath));
+  }
+  if (!localPath || !fs.existsSync(localPath)) {
+    const error = new Error(`Media file not found: ${localPath}`);
+    error.transient = false;
+    throw error;
+  }
+
+  const staged = stagePublicFile(localPath, config.settings);
+  cleanup.push(() => removeStagedFile(staged.path));
+  return staged.url;
+}
+
+// Post to Instagram
+// config.settings.facebook holds the Instagram destination (see destinations.js)
+async function postToInstagram(item, config) {
+  const account = config.settings.facebook;
+  if (config.settings.dry_run === true) {
+    log(`[DRY RUN] Would post to Instagram ${account.ig_user_id}: ${item.text.substring(0, 100)}...`, 'dryrun');
+    return { id: 'dry-run-' + Date.now(), dryRun: true };
+  }
+  
+  const configErrors = validateInstagramSettings(account);
+  const itemErrors = validateInstagramItem(item);
+  if (configErrors.length > 0 || itemErrors.length > 0) {
+    const error = new Error(`Cannot publish to Instagram: ${[...configErrors, ...itemErrors].join(', ')}`);
+    error.transient = false;
+    throw error;
+  }
+  
+  const rateLimit = checkRateLimit(account.ig_user_id);
+  if (!rateLimit.allowed) {
+    const error = new Error(rateLimit.message);
+    error.transient = true;
+    error.retryAfterSeconds = rateLimit.waitTime;
+    throw error;
+  }
+  
+  const cleanup = [];
+  try {
+    const sources = item.media && item.media.length > 1 ? item.media : [item];
+    const mediaUrls = [];
+    for (const media of sources) {
+      mediaUrls.push(await resolvePublicMediaUrl(media, config, cleanup));
+    }
+    
+    const result = await publishToInstagram(item, account, mediaUrls, { log });
+    updateRateLimit(account.ig_user_id);
     return result;
   } finally {
-    if (tempFilePath) cleanupTempFile(tempFilePath);
+    cleanup.forEach(fn => fn());
+  }
+}
+
+// Publish an item to one destination, whichever platform it is on
+async function publishItem(item, config, options = {}) {
+  if (config.settings.facebook.type === 'instagram') {
+    return postToInstagram(item, config);
+  }
+  return postToFacebook(item, config, options);
+}
+
+// Decide whether a failed post is worth retrying.
+// Graph errors say so themselves; network failures are transient; anything
+// explicitly marked wins; unknown errors get the benefit of the doubt.
+function classifyError(error) {
+  for (let e = error; e; e = e.cause) {
+    if (typeof e.transient === 'boolean') return e.transient ? 'transient' : 'permanent';
+    if (e.name === 'AbortError' || e.name === 'TimeoutError' || e.name === 'SyntaxError') return 'transient';
+    if (e instanceof TypeError && /fetch failed/i.test(e.message)) return 'transient';
+    if (/^E[A-Z]+$/.test(e.code || '')) return 'transient'; // ECONNRESET, ETIMEDOUT, ...
+  }
+  return 'transient';
+}
+
+// Exponential backoff: base * 2^(attempt - 1), capped
+function getRetryDelaySeconds(attempts, policy) {
+  return Math.min(policy.base_delay_seconds * 2 ** (attempts - 1), policy.max_delay_seconds);
+}
+
+// Record a failed attempt on one destination: schedule a retry, or give up on
+// that destination. Other destinations of the item carry on regardless.
+function recordFailure(queue, item, destinationId, error, config) {
+  const policy = { ...DEFAULT_RETRY_POLICY, ...(config.settings.retry || {}) };
+  const kind = classifyError(error);
+  const now = Date.now();
+  const target = item.targets[destinationId];
+
+  target.status = 'failed';
+  target.error = error.message;
+  target.lastAttemptAt = new Date(now).toISOString();
+
+  // Our own rate limiter isn't a real attempt; just wait it out
+  if (error.retryAfterSeconds) {
+    target.nextAttemptAt = new Date(now + error.retryAfterSeconds * 1000).toISOString();
+    log(`Rate limited ${item.id} on ${destinationId}, retrying at ${target.nextAttemptAt}`, 'warn');
+    syncItemSummary(item);
+    return;
+  }
+
+  target.attempts = (target.attempts || 0) + 1;
+
+  if (kind === 'permanent' || target.attempts >= policy.max_attempts) {
+    const reason = kind === 'permanent' ? 'permanent error' : `gave up after ${target.attempts} attempts`;
+    target.status = 'dead';
+    target.deadReason = reason;
+    delete target.nextAttemptAt;
+    logError(`Gave up on ${item.id} for ${destinationId} (${reason}): ${error.message}`);
+    settleItem(queue, item);
+    if (getDestinations(config.settings)[destinationId]) reflowQueue(queue, config, destinationId);
+    return;
+  }
+
+  const delay = getRetryDelaySeconds(target.attempts, policy);
+  target.nextAttemptAt = new Date(now + delay * 1000).toISOString();
+  log(`Will retry ${item.id} on ${destinationId} at ${target.nextAttemptAt} (attempt ${target.attempts}/${policy.max_attempts}, ${kind} error)`, 'warn');
+  syncItemSummary(item);
+}
+
+// Once every destination is settled, move the item to posted (some succeeded),
+// to the dead list (at least one gave up), or drop it (all cancelled)
+function settleItem(queue, item) {
+  const targets = Object.entries(item.targets);
+  if (targets.some(([, target]) => !isSettledTarget(target))) {
+    syncItemSummary(item);
+    return;
+  }
+  
+  if (targets.every(([, target]) => target.status === 'cancelled')) {
+    queue.pending = queue.pending.filter(p => p.id !== item.id);
+    log(`Removed cancelled item ${item.id} from the queue`);
+    return;
+  }
+
+  const dead = targets.filter(([, target]) => target.status === 'dead');
+  if (dead.length > 0) {
+    item.error = dead.map(([id, target]) => `${id}: ${target.error}`).join('; ');
+    moveToDead(queue, item, dead.map(([id, target]) => `${id}: ${target.deadReason}`).join('; '));
+    return;
+  }
+
+  item.status = 'posted';
+  item.scheduledFor = null;
+  item.postedAt = targets.map(([, target]) => target.postedAt).filter(Boolean).sort().pop();
+  delete item.error;
+  queue.pending = queue.pending.filter(p => p.id !== item.id);
+  queue.posted.push(item);
+}
+
+// Move an item out of pending into the dead-letter list
+function moveToDead(queue, item, reason) {
+  if (!queue.dead) queue.dead = [];
+  item.status = 'dead';
+  item.deadAt = new Date().toISOString();
+  item.deadReason = reason;
+  item.scheduledFor = null;
+  queue.pending = queue.pending.filter(p => p.id !== item.id);
+  queue.dead.push(item);
+  logError(`Moved ${item.id} to dead list (${reason}): ${item.error}`, null, { itemId: item.id });
+}
+
+// Move dead items back to pending with a fresh retry budget.
+// Only the destinations that gave up are retried; ones already posted stay posted.
+function requeueDead(ids) {
+  const config = loadConfig();
+  const selected = updateQueue(queue => {
+    const items = ids === 'all' ? [...queue.dead] : queue.dead.filter(item => ids.includes(item.id));
+    for (const item of items) {
+      migrateLegacyItem(item, config.settings);
+      queue.dead = queue.dead.filter(d => d.id !== item.id);
+      delete item.deadAt;
+      delete item.deadReason;
+      for (const target of Object.values(item.targets)) {
+        if (target.status === 'posted' || target.status === 'cancelled' || target.status === 'deleted') continue;
+        Object.assign(target, newTarget());
+        delete target.error;
+        delete target.deadReason;
+        delete target.nextAttemptAt;
+      }
+      syncItemSummary(item);
+      queue.pending.push(item);
+      log(`Requeued dead item ${item.id}`, 'info', { itemId: item.id });
+    }
+    return items;
+  });
+  if (selected.length > 0) schedulePosts();
+  return selected.map(item => item.id);
+}
+
+// Facebook accepts scheduled_publish_time between 10 minutes and 30 days ahead
+const NATIVE_SCHEDULE_MIN_LEAD_MS = 10 * 60 * 1000;
+const NATIVE_SCHEDULE_MAX_LEAD_MS = 30 * 24 * 60 * 60 * 1000;
+// How long after its time a handed-off post may take to show up as published
+const HANDOFF_CONFIRM_GRACE_MS = 15 * 60 * 1000;
+
+// Whether Facebook can publish the target itself at its scheduled time
+function canHandOff(item, target, destination, nowMs) {
+  if (!destination || destination.type === 'instagram' || destination.native_scheduling !== true) return false;
+  if (isPostNow(item) || !target.scheduledFor) return false;
+  const lead = Date.parse(target.scheduledFor) - nowMs;
+  return lead >= NATIVE_SCHEDULE_MIN_LEAD_MS && lead <= NATIVE_SCHEDULE_MAX_LEAD_MS;
+}
+
+// Partial uploads a retry picks up from, kept per destination target
+const UPLOAD_STATE_KEYS = ['videoUpload', 'photoUpload'];
+
+// Record a successful publish on one destination
+function markTargetPosted(queue, item, destinationId, postId, postedAt) {
+  const target = item.targets[destinationId];
+  target.status = 'posted';
+  target.postedAt = postedAt;
+  target.postId = postId;
+  delete target.error;
+  delete target.nextAttemptAt;
+  UPLOAD_STATE_KEYS.forEach(key => delete target[key]);
+  queue.lastPostTime = postedAt;
+  // Remembered for duplicate checks after the item itself is purged (pruned on the next add)
+  if (!queue.fingerprints) queue.fingerprints = [];
+  if (item.fingerprint && !queue.fingerprints.some(entry => entry.id === item.id)) {
+    queue.fingerprints.push({ id: item.id, at: postedAt, fingerprint: item.fingerprint });
+  }
+  settleItem(queue, item);
+}
+
+// Ask Facebook whether a handed-off post went out
+async function isScheduledPostPublished(item, target, facebook) {
+  if (String(target.postId).startsWith('dry-run-')) return true;
+  const field = item.mediaType === 'video' && !item.media ? 'published' : 'is_published';
+  const res = await fetch(`${getGraphBase(facebook)}/${target.postId}?fields=${field}&access_token=${encodeURIComponent(facebook.access_token)}`);
+  const data = await res.json();
+  if (data.error) throw new GraphApiError(data.error, `Checking scheduled post ${target.postId} failed`);
+  return data[field] === true;
+}
+
+// Move a post Facebook is holding for scheduled publishing
+async function updateScheduledPost(postId, facebook, publishAt, dryRun) {
+  if (dryRun) {
+    log(`[DRY RUN] Would move scheduled post ${postId} to ${new Date(publishAt * 1000).toISOString()}`, 'dryrun');
+    return;
+  }
+  const res = await fetch(`${getGraphBase(facebook)}/${postId}`, {
+    method: 'POST',
+    body: new URLSearchParams({ scheduled_publish_time: String(publishAt), access_token: facebook.access_token })
+  });
+  const data = await res.json();
+  if (data.error) throw new GraphApiError(data.error, `Rescheduling ${postId} failed`);
+}
+
+// Delete a post on Facebook (scheduled or published)
+async function deleteFacebookPost(postId, facebook, dryRun) {
+  if (dryRun) {
+    log(`[DRY RUN] Would delete Facebook post ${postId}`, 'dryrun');
+    return;
+  }
+  const res = await fetch(`${getGraphBase(facebook)}/${postId}?access_token=${encodeURIComponent(facebook.access_token)}`, { method: 'DELETE' });
+  const data = await res.json();
+  if (data.error) throw new GraphApiError(data.error, `Deleting ${postId} failed`);
+}
+
+// Change the text of a scheduled or published post; videos keep theirs in `description`
+async function editFacebookPost(postId, facebook, text, isVideo, dryRun) {
+  if (dryRun) {
+    log(`[DRY RUN] Would change the text of Facebook post ${postId}`, 'dryrun');
+    return;
+  }
+  const res = await fetch(`${getGraphBase(facebook)}/${postId}`, {
+    method: 'POST',
+    body: new URLSearchParams({ [isVideo ? 'description' : 'message']: text, access_token: facebook.access_token })
+  });
+  const data = await res.json();
+  if (data.error) throw new GraphApiError(data.error, `Editing ${postId} failed`);
+}
+
+// Post, hand off or confirm one item on one destination
+async function processTarget(config, { item, destinationId, target, mode }, now, nowMs) {
+  // Each destination uploads on its own; give the post its own upload state
+  const post = { ...item, videoUpload: target.videoUpload, photoUpload: target.photoUpload };
+  delete post.targets;
+
+  // Copy in-flight upload progress onto the stored target
+  const saveProgress = () => updatePendingItem(item.id, (q, current) => {
+    const currentTarget = current.targets[destinationId];
+    for (const key of UPLOAD_STATE_KEYS) {
+      if (post[key]) currentTarget[key] = post[key];
+      else delete currentTarget[key];
+    }
+  });
+
+  try {
+    const destinationConfig = { ...config, settings: getDestinationSettings(config.settings, destinationId) };
+
+    if (mode === 'confirm') {
+      if (await isScheduledPostPublished(item, target, destinationConfig.settings.facebook)) {
+        updatePendingItem(item.id, (q, current) => markTargetPosted(q, current, destinationId, target.postId, target.scheduledFor));
+        log(`Facebook published scheduled post ${target.postId} for ${item.id} on ${destinationId}`);
+      } else if (nowMs - Date.parse(target.scheduledFor) > HANDOFF_CONFIRM_GRACE_MS) {
+        const error = new Error(`Facebook did not publish scheduled post ${target.postId}`);
+        error.transient = false;
+        throw error;
+      }
+      return;
+    }
+
+    if (mode === 'handoff') {
+      const publishAt = Math.floor(Date.parse(target.scheduledFor) / 1000);
+      log(`Handing ${item.id} (${item.mediaType}) to Facebook on ${destinationId} for ${target.scheduledFor}`);
+      const result = await publishItem(post, destinationConfig, { onProgress: saveProgress, scheduledPublishTime: publishAt });
+      updatePendingItem(item.id, (q, current) => {
+        const currentTarget = current.targets[destinationId];
+        currentTarget.status = 'handed_off';
+        currentTarget.postId = result.post_id || result.id;
+        currentTarget.handedOffAt = new Date().toISOString();
+        delete currentTarget.error;
+        delete currentTarget.nextAttemptAt;
+        UPLOAD_STATE_KEYS.forEach(key => delete currentTarget[key]);
+        syncItemSummary(current);
+      });
+      log(`Scheduled on Facebook (${destinationId}): ${result.post_id || result.id}`);
+      return;
+    }
+
+    log(`Publishing ${item.id} (${item.mediaType}) to ${destinationId}`);
+    const result = await publishItem(post, destinationConfig, { onProgress: saveProgress });
+    updatePendingItem(item.id, (q, current) => markTargetPosted(q, current, destinationId, result.id, now));
+    log(`Successfully posted to ${destinationId}: ${result.id}`);
+  } catch (error) {
+    // The post is still with Facebook; only a definite "not published" makes it a failure
+    if (mode === 'confirm' && classifyError(error) === 'transient') {
+      log(`Could not confirm scheduled post ${target.postId} yet: ${error.message}`, 'warn');
+      return;
+    }
+    const verb = { post: 'post', handoff: 'hand off', confirm: 'confirm' }[mode];
+    log(`Failed to ${verb} ${item.id} on ${destinationId}: ${error.message}`, 'error');
+    if (mode !== 'confirm') saveProgress();
+    updatePendingItem(item.id, (q, current) => recordFailure(q, current, destinationId, error, config));
   }
 }
 
 // Process scheduled posts
+// Only one process run at a time; the queue itself is only locked for the
+// short read-modify-write around each item, so ingestion is never blocked
+// while a post is uploading.
+// Destinations with native_scheduling get their posts handed to Facebook as
+// soon as they are 10 minutes to 30 days out; everything else is posted when due.
 async function processScheduledPosts() {
+  const config = loadConfig();
+  const processLockPath = `${QUEUE_PATH}.process.lock`;
+  if (!acquireLock(processLockPath, { timeoutMs: 0, staleMs: Infinity })) {
+    log('Another process run is in progress, skipping', 'warn');
+    return;
+  }
+
+  try {
+    const paused = loadQueue().paused;
+    if (paused) {
+      log(`Queue paused${paused.by ? ` by ${paused.by}` : ''} since ${paused.at}, skipping`, 'warn');
+      return;
+    }
+
+    // Find token trouble before it fails every post
+    if (config.settings.dry_run !== true) {
+      try {
+        await checkTokens(config);
+      } catch (error) {
+        logError('Token check failed', error);
+      }
+    }
+
+    const queue = updateQueue(q => {
+      migrateQueue(q, config.settings);
+      return q;
+    });
+    removeStaleDownloads(queue);
+    const nowMs = Date.now();
+    const now = new Date(nowMs).toISOString();
+    const destinations = getDestinations(config.settings);
+    const work = [];
+    for (const item of queue.pending) {
+      for (const [destinationId, target] of Object.entries(item.targets)) {
+        if (target.status === 'handed_off') {
+          if (target.scheduledFor <= now) work.push({ item, destinationId, target, mode: 'confirm' });
+          continue;
+        }
+        if (!isOpenTarget(target) || (target.nextAttemptAt && target.nextAttemptAt > now)) continue;
+        if (canHandOff(item, target, destinations[destinationId], nowMs)) {
+          work.push({ item, destinationId, target, mode: 'handoff' });
+        } else if (isPostNow(item) || !destinations[destinationId] || (target.scheduledFor && target.scheduledFor <= now)) {
+          // A destination removed from the config fails right away instead of waiting forever
+          work.push({ item, destinationId, target, mode: 'post' });
+        }
+      }
+    }
+    
+    for (const { item, destinationId, target, mode } of work) {
+      await runWithLogContext({ phase: mode === 'post' ? 'publish' : mode, itemId: item.id, source: item.source, destination: destinationId },
+        () => processTarget(config, { item, destinationId, target, mode }, now, nowMs));
+    }
+  } finally {
+    releaseLock(processLockPath);
+  }
+}
+
+// Targets of an item that rescheduling or cancelling applies to
+function selectTargets(item, destinationId) {
+  return Object.entries(item.targets).filter(([id, target]) =>
+    !isSettledTarget(target) && (!destinationId || id === destinationId));
+}
+
+/**
+ * Move a queued item to a new time. Posts already handed off to Facebook are
+ * moved there too, or taken back when the new time is outside Facebook's window.
+ * @param {string} id - item id
+ * @param {string} time - new time (anything Date.parse accepts, e.g. ISO 8601)
+ * @param {string} [destinationId] - only this destination
+ */
+async function rescheduleItem(id, time, destinationId) {
+  const config = loadConfig();
+  const publishAtMs = Date.parse(time);
+  if (Number.isNaN(publishAtMs)) return { success: false, reason: 'invalid_time', message: `Cannot parse time "${time}"` };
+  const scheduledFor = new Date(publishAtMs).toISOString();
+
+  const item = loadQueue().pending.find(p => p.id === id);
+  if (!item) return { success: false, reason: 'not_found', message: `No pending item ${id}` };
+  migrateLegacyItem(item, config.settings);
+  const selected = selectTargets(item, destinationId);
+  if (selected.length === 0) return { success: false, reason: 'not_found', message: `Item ${id} has nothing left to publish${destinationId ? ` on ${destinationId}` : ''}` };
+
+  const takenBack = [];
+  for (const [targetId, target] of selected) {
+    if (target.status !== 'handed_off') continue;
+    const facebook = getDestinationSettings(config.settings, targetId).facebook;
+    const lead = publishAtMs - Date.now();
+    if (lead >= NATIVE_SCHEDULE_MIN_LEAD_MS && lead <= NATIVE_SCHEDULE_MAX_LEAD_MS) {
+      await updateScheduledPost(target.postId, facebook, Math.floor(publishAtMs / 1000), config.settings.dry_run === true);
+      log(`Moved scheduled post ${target.postId} on ${targetId} to ${scheduledFor}`);
+    } else {
+      await deleteFacebookPost(target.postId, facebook, config.settings.dry_run === true);
+      log(`Took ${id} back from Facebook on ${targetId}: ${scheduledFor} is outside the scheduling window`, 'info', { itemId: id, destination: targetId });
+      takenBack.push(targetId);
+    }
+  }
+
+  const updated = updatePendingItem(id, (q, current) => {
+    migrateLegacyItem(current, config.settings);
+    for (const [targetId] of selected) {
+      const target = current.targets[targetId];
+      if (!target) continue;
+      target.scheduledFor = scheduledFor;
+      target.pinned = true;
+      if (takenBack.includes(targetId)) {
+        target.status = 'pending';
+        delete target.postId;
+        delete target.handedOffAt;
+      }
+    }
+    syncItemSummary(current);
+    return current;
+  });
+  if (!updated) return { success: false, reason: 'not_found', message: `Item ${id} left the queue` };
+
+  log(`Rescheduled ${id} to ${scheduledFor}`, 'info', { itemId: id });
+  return { success: true, item: updated };
+}
+
+/**
+ * Cancel a queued item (or one of its destinations). Posts handed off to
+ * Facebook are deleted there.
+ */
+async function cancelItem(id, destinationId) {
+  const config = loadConfig();
+  const item = loadQueue().pending.find(p => p.id === id);
+  if (!item) return { success: false, reason: 'not_found', message: `No pending item ${id}` };
+  migrateLegacyItem(item, config.settings);
+  const selected = selectTargets(item, destinationId);
+  if (selected.length === 0) return { success: false, reason: 'not_found', message: `Item ${id} has nothing left to cancel${destinationId ? ` on ${destinationId}` : ''}` };
+
+  for (const [targetId, target] of selected) {
+    if (target.status !== 'handed_off') continue;
+    const facebook = getDestinationSettings(config.settings, targetId).facebook;
+    await deleteFacebookPost(target.postId, facebook, config.settings.dry_run === true);
+    log(`Deleted scheduled post ${target.postId} on ${targetId}`);
+  }
+
+  updateQueue(queue => {
+    const current = queue.pending.find(p => p.id === id);
+    if (!current) return;
+    migrateLegacyItem(current, config.settings);
+    for (const [targetId] of selected) {
+      const target = current.targets[targetId];
+      if (!target) continue;
+      target.status = 'cancelled';
+      target.cancelledAt = new Date().toISOString();
+      delete target.nextAttemptAt;
+      UPLOAD_STATE_KEYS.forEach(key => delete target[key]);
+    }
+    settleItem(queue, current);
+    for (const [targetId] of selected) {
+      if (getDestinations(config.settings)[targetId]) reflowQueue(queue, config, targetId);
+    }
+  });
+
+  log(`Cancelled ${id}${destinationId ? ` on ${destinationId}` : ''}`, 'info', { itemId: id, destination: destinationId });
+  return { success: true, cancelled: selected.map(([targetId]) => targetId) };
+}
+
+/**
+ * Retry an item now: dead items go back to pending, failed destinations of
+ * a pending item skip the rest of their backoff.
+ */
+function retryItem(id) {
+  if ((loadQueue().dead || []).some(item => item.id === id)) {
+    requeueDead([id]);
+    return { success: true, requeued: true };
+  }
+
+  const config = loadConfig();
+  let retried = [];
+  const updated = updatePendingItem(id, (q, current) => {
+    migrateLegacyItem(current, config.settings);
+    retried = Object.entries(current.targets).filter(([, target]) => target.status === 'failed').map(([targetId]) => targetId);
+    for (const targetId of retried) delete current.targets[targetId].nextAttemptAt;
+    syncItemSummary(current);
+    return current;
+  });
+  if (!updated) return { success: false, reason: 'not_found', message: `No pending or dead item ${id}` };
+  if (retried.length === 0) return { success: false, reason: 'not_failed', message: `Item ${id} has no failed destination to retry` };
+
+  log(`Retrying ${id} on ${retried.join(', ')}`, 'info', { itemId: id });
+  return { success: true, requeued: false, retried };
+}
+
+// Stop (or restart) publishing; items keep being queued while paused
+function setPaused(paused, by) {
+  const state = updateQueue(queue => {
+    if (paused) {
+      queue.paused = queue.paused || { at: new Date().toISOString(), by: by || null };
+    } else {
+      delete queue.paused;
+    }
+    return queue.paused || null;
+  });
+  log(paused ? `Queue paused${by ? ` by ${by}` : ''}` : `Queue resumed${by ? ` by ${by}` : ''}`);
+  return state;
+}
+
+// Read-modify-write one item awaiting approval under the queue lock
+function updateAwaitingItem(id, fn) {
+  return updateQueue(queue => {
+    const item = (queue.awaiting || []).find(a => a.id === id);
+    return item ? fn(queue, item) : undefined;
+  });
+}
+
+/**
+ * Approve an item awaiting moderation. It joins the pending list and is
+ * given slots like any newly queued item.
+ * @param {string} id - item id
+ * @param {Object} moderator - { id, name } of whoever decided
+ */
+function approveItem(id, moderator) {
+  const item = updateQueue(queue => {
+    const current = (queue.awaiting || []).find(a => a.id === id);
+    if (!current) return undefined;
+    queue.awaiting = queue.awaiting.filter(a => a.id !== id);
+    current.moderation = { ...current.moderation, decision: 'approved', by: moderator, at: new Date().toISOString() };
+    syncItemSummary(current);
+    queue.pending.push(current);
+    return current;
+  });
+  if (!item) return { success: false, reason: 'not_found', message: `No item ${id} awaiting approval` };
+
+  log(`Approved ${id} (by ${moderator.name})`, 'info', { phase: 'moderation', itemId: id });
+  const assigned = schedulePosts()[id] || {};
+  for (const [targetId, time] of Object.entries(assigned)) item.targets[targetId].scheduledFor = time;
+  syncItemSummary(item);
+  return { success: true, item };
+}
+
+// Reject an item awaiting moderation; it is dropped and kept in the rejected log
+function rejectItem(id, moderator) {
+  const item = updateQueue(queue => {
+    const current = (queue.awaiting || []).find(a => a.id === id);
+    if (current) queue.awaiting = queue.awaiting.filter(a => a.id !== id);
+    return current;
+  });
+  if (!item) return { success: false, reason: 'not_found', message: `No item ${id} awaiting approval` };
+
+  item.status = 'rejected';
+  item.moderation = { ...item.moderation, decision: 'rejected', by: moderator, at: new Date().toISOString() };
+  recordRejection(item, { reason: 'moderator_rejected', message: `Rejected by ${moderator.name}` }, 'moderation', {
+    itemId: id,
+    moderation: item.moderation
+  });
+  return { success: true, item };
+}
+
+/**
+ * Replace the caption of an item that has not gone out yet (pending or
+ * awaiting approval). The new text is used as is, without caption templates.
+ * @param {string} id - item id
+ * @param {string} text - new caption
+ * @param {Object} [editor] - { id, name } of whoever edited it
+ */
+function editItem(id, text, editor) {
   const config = loadConfig();
   const queue = loadQueue();
-  const now = new Date().toISOString();
-  const duePosts = queue.pending.filter(item => (item.text && item.text.includes('#now')) || (item.scheduledFor && item.scheduledFor <= now));
-  
-  for (const item of duePosts) {
-    try {
-      log(`Posting to Facebook: ${item.id} (${item.mediaType})`);
-      const result = await postToFacebook(item, config);
-      item.postedAt = now;
-      item.facebookPostId = result.id;
-      item.status = 'posted';
-      queue.posted.push(item);
-      queue.pending = queue.pending.filter(p => p.id !== item.id);
-      if (!queue.postedHashes) queue.postedHashes = [];
-      if (item.contentHash && !queue.postedHashes.includes(item.contentHash)) {
-        queue.postedHashes.push(item.contentHash);
-        if (queue.postedHashes.length > 1000) queue.postedHashes.shift();
+  const item = [...queue.pending, ...(queue.awaiting || [])].find(i => i.id === id);
+  if (!item) return { success: false, reason: 'not_found', message: `No pending item ${id}` };
+  if (Object.values(item.targets).some(target => target.status === 'handed_off')) {
+    return { success: false, reason: 'handed_off', message: `Item ${id} is already scheduled on Facebook; cancel it or reschedule it outside the 10 minute-30 day window first` };
+  }
+
+  const filter = getFilterSettings(config.settings, item.source, item.sourceId);
+  const errors = validateInput({ ...item, text }, filter.max_text_length).errors;
+  const destinations = getDestinations(config.settings);
+  if (Object.keys(item.targets).some(targetId => destinations[targetId]?.type === 'instagram')) {
+    errors.push(...validateInstagramItem({ ...item, text }));
+  }
+  if (errors.length > 0) return { success: false, reason: 'invalid', message: errors.join('; ') };
+
+  const updated = updateQueue(q => {
+    const current = [...q.pending, ...(q.awaiting || [])].find(i => i.id === id);
+    if (!current) return undefined;
+    current.text = text;
+    current.editedAt = new Date().toISOString();
+    if (editor) current.editedBy = editor;
+    return current;
+  });
+  if (!updated) return { success: false, reason: 'not_found', message: `Item ${id} left the queue` };
+
+  log(`Caption of ${id} edited${editor ? ` by ${editor.name}` : ''}`, 'info', { phase: 'moderation', itemId: id });
+  return { success: true, item: updated };
+}
+
+/**
+ * Delete an item from whichever list holds it. Posts handed off to Facebook
+ * are deleted there first.
+ * @returns {Object} { success, list } naming the list it was removed from
+ */
+async function removeItem(id) {
+  const config = loadConfig();
+  const queue = loadQueue();
+  const list = ['pending', 'awaiting', 'dead', 'posted'].find(name => (queue[name] || []).some(i => i.id === id));
+  if (!list) return { success: false, reason: 'not_found', message: `No item ${id}` };
+
+  const item = queue[list].find(i => i.id === id);
+  if (list === 'pending') {
+    for (const [targetId, target] of Object.entries(item.targets || {})) {
+      if (target.status !== 'handed_off') continue;
+      const facebook = getDestinationSettings(config.settings, targetId).facebook;
+      await deleteFacebookPost(target.postId, facebook, config.settings.dry_run === true);
+      log(`Deleted scheduled post ${target.postId} on ${targetId}`);
+    }
+  }
+
+  updateQueue(q => {
+    q[list] = (q[list] || []).filter(i => i.id !== id);
+    if (list !== 'pending') return;
+    for (const targetId of Object.keys(item.targets || {})) {
+      if (getDestinations(config.settings)[targetId]) reflowQueue(q, config, targetId);
+    }
+  });
+
+  log(`Removed ${id} from ${list}`, 'info', { itemId: id });
+  return { success: true, list, item };
+}
+
+// Drop posted items older than `before` (ISO time); the duplicate check keeps their fingerprints
+function purgePosted(before) {
+  const purged = updateQueue(queue => {
+    const old = queue.posted.filter(item => (item.postedAt || item.addedAt) < before);
+    queue.posted = queue.posted.filter(item => !old.includes(item));
+    return old;
+  });
+  log(`Purged ${purged.length} posted item(s) from before ${before}`);
+  return purged.map(item => item.id);
+}
+
+function getSyncSettings(settings) {
+  return { ...DEFAULT_SYNC_SETTINGS, ...(settings?.sync || {}) };
+}
+
+// Items queued from a Telegram message, with the list each one is in
+function findItemsByTelegramMessage(chatId, messageId) {
+  const queue = loadQueue();
+  const matches = [];
+  for (const list of ['pending', 'awaiting', 'dead', 'posted']) {
+    for (const item of queue[list] || []) {
+      const link = item.telegram;
+      if (link && String(link.chatId) === String(chatId) && (link.messageIds || []).includes(messageId)) {
+        matches.push({ item, list });
       }
-      log(`Successfully posted: ${result.id}`);
+    }
+  }
+  return matches;
+}
+
+function findItemList(queue, id) {
+  return ['pending', 'awaiting', 'dead', 'posted'].find(name => (queue[name] || []).some(i => i.id === id)) || null;
+}
+
+/**
+ * Apply an edit made to the Telegram message an item came from. Posts
+ * handed off to Facebook are edited there; published posts only with
+ * settings.sync.edit_published.
+ * @param {string} id - item id
+ * @param {string} text - new caption (already transformed)
+ * @param {string} originalText - new text as written in Telegram
+ * @returns {Object} { success, item, edited, skipped } with destination ids edited on Facebook
+ */
+async function applySourceEdit(id, text, originalText) {
+  const config = loadConfig();
+  const sync = getSyncSettings(config.settings);
+  const queue = loadQueue();
+  const list = findItemList(queue, id);
+  if (!list) return { success: false, reason: 'not_found', message: `No item ${id}` };
+  const item = queue[list].find(i => i.id === id);
+  if (item.text === text) return { success: true, item, edited: [], skipped: [], unchanged: true };
+
+  const filter = getFilterSettings(config.settings, item.source, item.sourceId);
+  const errors = validateInput({ ...item, text }, filter.max_text_length).errors;
+  if (errors.length > 0) return { success: false, reason: 'invalid', message: errors.join('; ') };
+
+  const destinations = getDestinations(config.settings);
+  const edited = [];
+  const skipped = [];
+  for (const [targetId, target] of Object.entries(item.targets || {})) {
+    if (target.status !== 'handed_off' && target.status !== 'posted') continue;
+    if (target.status === 'posted' && !sync.edit_published) {
+      skipped.push({ destination: targetId, reason: 'sync.edit_published is off' });
+    } else if (!destinations[targetId] || destinations[targetId].type === 'instagram') {
+      skipped.push({ destination: targetId, reason: destinations[targetId] ? 'Instagram captions cannot be edited through the API' : 'destination no longer configured' });
+    } else {
+      try {
+        const facebook = getDestinationSettings(config.settings, targetId).facebook;
+        await editFacebookPost(target.postId, facebook, text, item.mediaType === 'video' && !item.media, config.settings.dry_run === true);
+        edited.push(targetId);
+        log(`Edited Facebook post ${target.postId} of ${id} on ${targetId}`, 'info', { itemId: id, destination: targetId });
+      } catch (error) {
+        logError(`Could not edit Facebook post ${target.postId} of ${id} on ${targetId}`, error, { itemId: id, destination: targetId });
+        skipped.push({ destination: targetId, reason: error.message });
+      }
+    }
+  }
+
+  const updated = updateQueue(q => {
+    const current = (q[findItemList(q, id)] || []).find(i => i.id === id);
+    if (!current) return undefined;
+    current.text = text;
+    current.originalText = originalText;
+    current.sourceEditedAt = new Date().toISOString();
+    if (current.fingerprint) {
+      current.fingerprint.text = normalizeText(stripControlHashtags(originalText, config.settings, current.source, current.sourceId));
+      const remembered = (q.fingerprints || []).find(entry => entry.id === id);
+      if (remembered) remembered.fingerprint = current.fingerprint;
+    }
+    return current;
+  });
+  if (!updated) return { success: false, reason: 'not_found', message: `Item ${id} left the queue` };
+
+  log(`Updated ${id} from its edited Telegram message${skipped.length ? `; not edited on ${skipped.map(s => s.destination).join(', ')}` : ''}`, 'info', { itemId: id });
+  return { success: true, item: updated, edited, skipped };
+}
+
+/**
+ * Delete the published posts of an item (in posted or dead) on Facebook.
+ * The item stays in its list, marked "deleted" once nothing of it is left online.
+ */
+async function deletePublishedItem(id) {
+  const config = loadConfig();
+  const queue = loadQueue();
+  const list = findItemList(queue, id);
+  if (list !== 'posted' && list !== 'dead') return { success: false, reason: 'not_found', message: `No published item ${id}` };
+  const item = queue[list].find(i => i.id === id);
+
+  const destinations = getDestinations(config.settings);
+  const deleted = [];
+  const skipped = [];
+  for (const [targetId, target] of Object.entries(item.targets || {})) {
+    if (target.status !== 'posted') continue;
+    if (!destinations[targetId] || destinations[targetId].type === 'instagram') {
+      skipped.push({ destination: targetId, reason: destinations[targetId] ? 'Instagram posts cannot be deleted through the API' : 'destination no longer configured' });
+      continue;
+    }
+    try {
+      await deleteFacebookPost(target.postId, getDestinationSettings(config.settings, targetId).facebook, config.settings.dry_run === true);
+      deleted.push(targetId);
+      log(`Deleted Facebook post ${target.postId} of ${id} on ${targetId}`, 'info', { itemId: id, destination: targetId });
     } catch (error) {
-      log(`Failed to post ${item.id}: ${error.message}`, 'error');
-      item.status = 'failed';
-      item.error = error.message;
-    }
-  }
-  saveQueue(queue);
-}
-
-// CLI
-const command = process.argv[2];
-const arg = process.argv[3];
-
-switch (command) {
-  case 'add':
-    console.log(addToQueue(JSON.parse(arg)));
-    break;
-  case 'process':
-    processScheduledPosts().then(() => console.log('Processing complete'));
-    break;
-  case 'status':
-    const q = loadQueue();
-    console.log({ pending: q.pending.length, posted: q.posted.length });
-    break;
-  case 'validate':
-    const v = validateConfig(loadConfig());
-    console.log(v.valid ? '✅ Valid' : '❌ Invalid', v.errors || '');
-    break;
-  default:
-    console.log('Usage: node index.js [add|process|status|validate]');
+      logError(`Could not delete Facebook post ${target.postId} of ${id} on ${targetId}`, error, { itemId: id, destination: targetId });
+      skipped.push({ destination: targetId, reason: error.message });
+    }
+  }
+
+  updateQueue(q => {
+    const current = (q[list] || []).find(i => i.id === id);
+    if (!current) return;
+    const now = new Date().toISOString();
+    for (const targetId of deleted) {
+      current.targets[targetId].status = 'deleted';
+      current.targets[targetId].deletedAt = now;
+    }
+    if (list === 'posted' && !Object.values(current.targets).some(target => target.status === 'posted')) {
+      current.status = 'deleted';
+      current.deletedAt = now;
+    }
+  });
+  return { success: skipped.length === 0, deleted, skipped };
+}
+
+// Health check thresholds (override via settings.health)
+const DEFAULT_HEALTH_THRESHOLDS = {
+  max_overdue_minutes: 60,
+  max_failed_items: 0,
+  max_dead_items: 0,
+  error_log_window_minutes: 60,
+  max_temp_mb: 500
+};
+
+// Sum size of files left in the temp directory
+function getTempDirUsage() {
+  let files = 0;
+  let bytes = 0;
+  for (const name of fs.readdirSync(TEMP_DIR)) {
+    if (name === '.gitkeep') continue;
+    const stats = fs.statSync(path.join(TEMP_DIR, name));
+    if (stats.isFile()) {
+      files++;
+      bytes += stats.size;
+    }
+  }
+  return { files, bytes };
+}
+
+// Collect health information; status is 'degraded' when any check fails
+function getHealthStatus(config) {
+  const thresholds = { ...DEFAULT_HEALTH_THRESHOLDS, ...(config.settings.health || {}) };
+  const queue = loadQueue();
+  const now = Date.now();
+  const problems = [];
+
+  const configCheck = validateConfig(config);
+  if (!configCheck.valid) problems.push(`config: ${configCheck.errors.join(', ')}`);
+
+  // Invalid/missing-permission tokens already fail the config check; add early expiry warnings
+  const tokens = getTokenReport(config);
+  for (const [id, token] of Object.entries(tokens)) {
+    if (token.status === 'expiring') problems.push(`token: ${id}: ${token.message}`);
+  }
+
+  const failed = queue.pending.filter(item => item.status === 'failed');
+  const oldestAddedAt = queue.pending.reduce((oldest, item) => (!oldest || item.addedAt < oldest ? item.addedAt : oldest), null);
+  const overdueCutoff = new Date(now - thresholds.max_overdue_minutes * 60000).toISOString();
+  const overdue = queue.pending.filter(item => item.scheduledFor && item.scheduledFor < overdueCutoff);
+
+  const dead = queue.dead || [];
+  if (failed.length > thresholds.max_failed_items) problems.push(`queue: ${failed.length} failed item(s)`);
+  if (dead.length > thresholds.max_dead_items) problems.push(`queue: ${dead.length} dead item(s)`);
+  if (overdue.length > 0) problems.push(`queue: ${overdue.length} item(s) overdue by more than ${thresholds.max_overdue_minutes} minutes`);
+
+  const lastPostTime = queue.lastPostTime ||
+    queue.posted.reduce((latest, item) => (item.postedAt && (!latest || item.postedAt > latest) ? item.postedAt : latest), null);
+
+  const temp = getTempDirUsage();
+  if (temp.bytes > thresholds.max_temp_mb * 1024 * 1024) problems.push(`temp: ${temp.bytes} bytes in ${TEMP_DIR}`);
+
+  let errorLogModified = null;
+  let errorLogGrew = false;
+  if (fs.existsSync(ERROR_LOG_PATH)) {
+    const stats = fs.statSync(ERROR_LOG_PATH);
+    errorLogModified = stats.mtime.toISOString();
+    errorLogGrew = stats.size > 0 && now - stats.mtimeMs < thresholds.error_log_window_minutes * 60000;
+  }
+  if (errorLogGrew) problems.push(`errors: error log written in the last ${thresholds.error_log_window_minutes} minutes`);
+
+  return {
+    status: problems.length === 0 ? 'healthy' : 'degraded',
+    version: require('./package.json').version,
+    timestamp: new Date(now).toISOString(),
+    checks: {
+      config: { valid: configCheck.valid, errors: configCheck.errors },
+      queue: {
+        pending: queue.pending.length,
+        scheduled: queue.pending.filter(item => item.scheduledFor).length,
+        posted: queue.posted.length,
+        failed: failed.length,
+        dead: dead.length,
+        overdue: overdue.length,
+        oldestPendingAgeSeconds: oldestAddedAt ? Math.round((now - Date.parse(oldestAddedAt)) / 1000) : null,
+        awaitingApproval: (queue.awaiting || []).length,
+        paused: queue.paused || null
+      },
+      lastSuccessfulPostAt: lastPostTime,
+      tokens,
+      temp,
+      errorLog: { lastModified: errorLogModified, grewRecently: errorLogGrew },
+      dryRun: config.settings.dry_run === true
+    },
+    problems
+  };
+}
+
+// Serve GET /health for uptime monitors (200 healthy, 503 degraded)
+function startHealthServer(port = 3000) {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET' || url.pathname !== '/health') {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: 'not_found' }));
+    }
+
+    let health;
+    try {
+      health = getHealthStatus(loadConfig());
+    } catch (error) {
+      logError('Health check failed', error);
+      health = { status: 'degraded', problems: [error.message] };
+    }
+    res.writeHead(health.status === 'healthy' ? 200 : 503, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(health, null, 2));
+  });
+
+  server.listen(port, () => log(`Health check server listening on http://localhost:${port}/health`));
+  return server;
+}
+
+module.exports = {
+  loadConfig,
+  loadQueue,
+  saveQueue,
+  updateQueue,
+  reflowQueue,
+  log,
+  logError,
+  validateInput,
+  filterContent,
+  recordRejection,
+  validateConfig,
+  getTelegramApiBase,
+  callTelegramApi,
+  sendTelegramMessage,
+  exchangeToken,
+  inspectToken,
+  checkTokens,
+  getTokenReport,
+  prepareContentMedia,
+  addToQueue,
+  schedulePosts,
+  postToFacebook,
+  postToInstagram,
+  publishItem,
+  processScheduledPosts,
+  rescheduleItem,
+  cancelItem,
+  GraphApiError,
+  classifyError,
+  requeueDead,
+  retryItem,
+  setPaused,
+  updateAwaitingItem,
+  approveItem,
+  rejectItem,
+  editItem,
+  removeItem,
+  purgePosted,
+  getSyncSettings,
+  findItemsByTelegramMessage,
+  applySourceEdit,
+  deletePublishedItem,
+  getHealthStatus,
+  startHealthServer
+};
+
+// CLI (see cli.js for the commands)
+if (require.main === module) {
+  require('./cli.js').run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
 }
@@ -0,0 +1,310 @@
+/**
+ * Engagement Insights
+ * Collects reactions, comments, shares and reach of published posts and
+ * breaks them down by source, media type, weekday and slot
+ *
+ * Snapshots are taken per destination at fixed ages of the post
+ * (settings.insights.windows, default 1h, 24h and 7d) by `node index.js
+ * insights`, and kept on the target:
+ *   item.targets[id].insights = { '24h': { reactions, comments, shares, reach, collectedAt } }
+ * A window the job was not run for in time (by half the window again, e.g.
+ * within 36 hours for 24h) is marked { missed: true } instead of being filled
+ * with a later, larger count.
+ */
+
+const { loadConfig, loadQueue, updateQueue, log, logError, classifyError } = require('./index.js');
+const { GraphApiError, getGraphBase } = require('./graph-api.js');
+const { getDestinations, getDestinationSettings } = require('./destinations.js');
+const { WEEKDAYS, getZonedParts, isPostNow } = require('./scheduler.js');
+
+// Override via settings.insights
+const DEFAULT_INSIGHTS_SETTINGS = {
+  windows: ['1h', '24h', '7d'],
+  report_window: '24h',
+  min_samples: 3
+};
+
+const DIMENSIONS = ['source', 'media', 'weekday', 'slot', 'destination'];
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+// A snapshot taken later than window * LATE_FACTOR no longer counts for the window
+const LATE_FACTOR = 1.5;
+const ENGAGEMENT_FIELDS = 'reactions.summary(total_count).limit(0),comments.summary(total_count).limit(0)';
+
+function getInsightsSettings(settings) {
+  return { ...DEFAULT_INSIGHTS_SETTINGS, ...(settings?.insights || {}) };
+}
+
+// "24h" -> 86400000
+function parseWindow(window) {
+  const match = /^(\d+)([mhd])$/.exec(String(window).trim());
+  if (!match || Number(match[1]) === 0) throw new Error(`Invalid insights window "${window}", expected e.g. 30m, 1h or 7d`);
+  return Number(match[1]) * UNIT_MS[match[2]];
+}
+
+// Configured windows, shortest first
+function getWindows(settings) {
+  return getInsightsSettings(settings).windows
+    .map(label => ({ label: String(label), ms: parseWindow(label) }))
+    .sort((a, b) => a.ms - b.ms);
+}
+
+async function graphGet(account, pathAndQuery, errorPrefix) {
+  const separator = pathAndQuery.includes('?') ? '&' : '?';
+  const res = await fetch(`${getGraphBase(account)}/${pathAndQuery}${separator}access_token=${encodeURIComponent(account.access_token)}`);
+  const data = await res.json();
+  if (data.error) throw new GraphApiError(data.error, errorPrefix);
+  return data;
+}
+
+// Reach needs read_insights (instagram_manage_insights on Instagram); without
+// it the counts are still worth keeping, so only temporary failures throw
+async function getInsightsResponse(account, pathAndQuery, postId) {
+  try {
+    return await graphGet(account, pathAndQuery, `Reading insights of ${postId} failed`);
+  } catch (error) {
+    if (classifyError(error) === 'transient') throw error;
+    log(`No reach for ${postId}: ${error.message}`, 'warn');
+    return { data: [] };
+  }
+}
+
+// One metric of an /insights response; Instagram may report it as total_value
+function metricValue(response, name) {
+  const metric = (response.data || []).find(m => m.name === name);
+  if (!metric) return null;
+  return metric.total_value?.value ?? metric.values?.[0]?.value ?? null;
+}
+
+async function fetchFacebookMetrics(postId, account, isVideo) {
+  // Video ids are not Page posts: no shares field, and reach lives in video_insights
+  const fields = isVideo ? ENGAGEMENT_FIELDS : `${ENGAGEMENT_FIELDS},shares`;
+  const post = await graphGet(account, `${postId}?fields=${fields}`, `Reading ${postId} failed`);
+  const metric = isVideo ? 'total_video_impressions_unique' : 'post_impressions_unique';
+  const insights = await getInsightsResponse(account, `${postId}/${isVideo ? 'video_insights' : 'insights'}?metric=${metric}`, postId);
+  return {
+    reactions: post.reactions?.summary?.total_count ?? 0,
+    comments: post.comments?.summary?.total_count ?? 0,
+    shares: isVideo ? null : post.shares?.count ?? 0,
+    reach: metricValue(insights, metric)
+  };
+}
+
+async function fetchInstagramMetrics(mediaId, account) {
+  const media = await graphGet(account, `${mediaId}?fields=like_count,comments_count`, `Reading ${mediaId} failed`);
+  const insights = await getInsightsResponse(account, `${mediaId}/insights?metric=reach,shares`, mediaId);
+  return {
+    reactions: media.like_count ?? 0,
+    comments: media.comments_count ?? 0,
+    shares: metricValue(insights, 'shares'),
+    reach: metricValue(insights, 'reach')
+  };
+}
+
+// Published by us and still online; dry runs have nothing to read
+function isTracked(target) {
+  return target.status === 'posted' && Boolean(target.postId) && Boolean(target.postedAt) &&
+    !String(target.postId).startsWith('dry-run-');
+}
+
+// The windows to collect now and the ones missed. Each due window counts on
+// its own: on time until window * LATE_FACTOR, so one read can fill several.
+function dueWindows(target, windows, now) {
+  const age = now - Date.parse(target.postedAt);
+  const due = windows.filter(window => age >= window.ms && !target.insights?.[window.label]);
+  return {
+    take: due.filter(window => age < window.ms * LATE_FACTOR),
+    missed: due.filter(window => age >= window.ms * LATE_FACTOR)
+  };
+}
+
+/**
+ * Take the snapshots that are due for every published post.
+ * @param {number} [now] - epoch ms
+ * @returns {Promise<Object>} { collected, missed, failed } counts
+ */
+async function collectInsights(now = Date.now()) {
+  const config = loadConfig();
+  const windows = getWindows(config.settings);
+  const destinations = getDestinations(config.settings);
+  const queue = loadQueue();
+  const snapshots = [];
+  let failed = 0;
+
+  for (const item of [...queue.posted, ...queue.pending, ...(queue.dead || [])]) {
+    for (const [destinationId, target] of Object.entries(item.targets || {})) {
+      if (!isTracked(target) || !destinations[destinationId]) continue;
+      const { take, missed } = dueWindows(target, windows, now);
+      missed.forEach(window => snapshots.push({ id: item.id, destinationId, label: window.label, snapshot: { missed: true } }));
+      if (take.length === 0) continue;
+
+      const account = getDestinationSettings(config.settings, destinationId).facebook;
+      try {
+        const metrics = account.type === 'instagram'
+          ? await fetchInstagramMetrics(target.postId, account)
+          : await fetchFacebookMetrics(target.postId, account, item.mediaType === 'video' && !item.media);
+        const collectedAt = new Date().toISOString();
+        take.forEach(window => snapshots.push({ id: item.id, destinationId, label: window.label, snapshot: { ...metrics, collectedAt } }));
+      } catch (error) {
+        failed++;
+        logError(`Could not read insights of ${target.postId} (${item.id} on ${destinationId}, ${take.map(window => window.label).join(', ')})`, error, {
+          phase: 'insights', itemId: item.id, source: item.source, destination: destinationId
+        });
+        // A post that is gone or unreadable stays that way; don't ask again every run
+        if (classifyError(error) === 'permanent') {
+          const collectedAt = new Date().toISOString();
+          take.forEach(window => snapshots.push({ id: item.id, destinationId, label: window.label, snapshot: { failed: error.message, collectedAt } }));
+        }
+      }
+    }
+  }
+
+  if (snapshots.length > 0) {
+    updateQueue(q => {
+      const items = [...q.posted, ...q.pending, ...(q.dead || [])];
+      for (const { id, destinationId, label, snapshot } of snapshots) {
+        const target = items.find(i => i.id === id)?.targets?.[destinationId];
+        if (target) target.insights = { ...target.insights, [label]: snapshot };
+      }
+    });
+  }
+
+  const result = {
+    collected: snapshots.filter(s => !s.snapshot.missed && !s.snapshot.failed).length,
+    missed: snapshots.filter(s => s.snapshot.missed).length,
+    failed
+  };
+  log(`Insights: ${result.collected} snapshot(s) collected, ${result.missed} missed, ${result.failed} failed`);
+  return result;
+}
+
+const pad = n => String(n).padStart(2, '0');
+
+/**
+ * One post on one destination with its snapshot for a window, described by
+ * the dimensions the report groups on. Weekday and slot are read in the
+ * destination's schedule.timezone; posts sent outside a slot (#now) fall in
+ * the hour they went out.
+ */
+function toSample(item, destinationId, target, window, timeZone) {
+  const snapshot = target.insights?.[window];
+  if (!snapshot || snapshot.missed || snapshot.failed) return null;
+  const inSlot = Boolean(target.scheduledFor) && !isPostNow(item);
+  const at = getZonedParts(Date.parse(inSlot ? target.scheduledFor : target.postedAt), timeZone);
+  const shares = snapshot.shares || 0;
+  return {
+    id: item.id,
+    destination: destinationId,
+    source: item.source || 'unknown',
+    media: item.media ? 'album' : item.mediaType || 'text',
+    weekday: WEEKDAYS[at.weekday],
+    slot: `${pad(at.hour)}:${inSlot ? pad(at.minute) : '00'}`,
+    reactions: snapshot.reactions || 0,
+    comments: snapshot.comments || 0,
+    shares,
+    reach: snapshot.reach ?? null,
+    engagement: (snapshot.reactions || 0) + (snapshot.comments || 0) + shares
+  };
+}
+
+const round = n => Math.round(n * 100) / 100;
+
+function summarize(samples) {
+  const sum = key => samples.reduce((total, sample) => total + (sample[key] || 0), 0);
+  const reached = samples.filter(sample => sample.reach !== null);
+  const reachSum = reached.reduce((total, sample) => total + sample.reach, 0);
+  const reachedEngagement = reached.reduce((total, sample) => total + sample.engagement, 0);
+  const average = key => (samples.length ? round(sum(key) / samples.length) : 0);
+  return {
+    posts: samples.length,
+    avgReactions: average('reactions'),
+    avgComments: average('comments'),
+    avgShares: average('shares'),
+    avgEngagement: average('engagement'),
+    avgReach: reached.length ? round(reachSum / reached.length) : null,
+    // Percent of the people reached who engaged, over the posts that have a reach
+    engagementRate: reachSum > 0 ? round((reachedEngagement / reachSum) * 100) : null
+  };
+}
+
+// Rows of { group, ...summary } for one dimension, best performing first
+function breakDown(samples, dimension) {
+  const groups = new Map();
+  for (const sample of samples) {
+    if (!groups.has(sample[dimension])) groups.set(sample[dimension], []);
+    groups.get(sample[dimension]).push(sample);
+  }
+  return [...groups.entries()]
+    .map(([group, members]) => ({ group, ...summarize(members) }))
+    .sort((a, b) => b.avgEngagement - a.avgEngagement || b.posts - a.posts);
+}
+
+/**
+ * Suggest post_times from the best performing slots: as many as
+ * posts_per_day, among slots with at least min_samples posts.
+ * @returns {string[]} HH:MM times, earliest first; empty without enough data
+ */
+function suggestPostTimes(samples, schedule, minSamples) {
+  const count = Number(schedule?.posts_per_day) || schedule?.post_times?.length || 1;
+  return breakDown(samples, 'slot')
+    .filter(row => row.posts >= minSamples)
+    .slice(0, count)
+    .map(row => row.group)
+    .sort();
+}
+
+/**
+ * Engagement report over items that were published.
+ * @param {Object[]} items - queue items (any list)
+ * @param {Object} settings - config.settings
+ * @param {Object} [options] - window (default settings.insights.report_window),
+ *   by (dimensions, default all), destination (only that destination),
+ *   suggest (add suggested post_times)
+ * @returns {Object} { window, totals, breakdowns: { <dimension>: rows }, suggestion }
+ */
+function buildReport(items, settings, { window, by = DIMENSIONS, destination, suggest = false } = {}) {
+  const insights = getInsightsSettings(settings);
+  const label = String(window || insights.report_window);
+  if (!getWindows(settings).some(w => w.label === label)) {
+    throw new Error(`No insights window "${label}"; collected windows are ${insights.windows.join(', ')}`);
+  }
+  const unknown = by.filter(dimension => !DIMENSIONS.includes(dimension));
+  if (unknown.length > 0) throw new Error(`Unknown dimension ${unknown.join(', ')} (use ${DIMENSIONS.join(', ')})`);
+
+  const destinations = getDestinations(settings);
+  const samples = [];
+  for (const item of items) {
+    for (const [destinationId, target] of Object.entries(item.targets || {})) {
+      if (destination && destinationId !== destination) continue;
+      const timeZone = destinations[destinationId]?.schedule?.timezone || settings.schedule?.timezone || 'Asia/Bangkok';
+      const sample = toSample(item, destinationId, target, label, timeZone);
+      if (sample) samples.push(sample);
+    }
+  }
+
+  const report = {
+    window: label,
+    totals: summarize(samples),
+    breakdowns: Object.fromEntries(by.map(dimension => [dimension, breakDown(samples, dimension)]))
+  };
+  if (suggest) {
+    const schedule = destination && destinations[destination]
+      ? getDestinationSettings(settings, destination).schedule
+      : settings.schedule;
+    report.suggestion = {
+      postTimes: suggestPostTimes(samples, schedule, insights.min_samples),
+      current: schedule?.post_times || [],
+      minSamples: insights.min_samples
+    };
+  }
+  return report;
+}
+
+module.exports = {
+  DIMENSIONS,
+  getInsightsSettings,
+  parseWindow,
+  dueWindows,
+  collectInsights,
+  buildReport,
+  suggestPostTimes
+};
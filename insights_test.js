@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Insights tests
+ * Which snapshot windows insights.js collects, and which it marks missed
+ *
+ * Usage: node --test insights_test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseWindow, dueWindows } = require('./insights.js');
+
+const HOUR = 60 * 60 * 1000;
+const postedAt = '2026-10-20T00:00:00.000Z';
+
+function windows(...labels) {
+  return labels.map(label => ({ label, ms: parseWindow(label) }));
+}
+
+function due(target, list, ageMs) {
+  const { take, missed } = dueWindows({ postedAt, ...target }, list, Date.parse(postedAt) + ageMs);
+  return { take: take.map(w => w.label), missed: missed.map(w => w.label) };
+}
+
+test('parseWindow reads minutes, hours and days', () => {
+  assert.strictEqual(parseWindow('30m'), 30 * 60 * 1000);
+  assert.strictEqual(parseWindow('24h'), 24 * HOUR);
+  assert.strictEqual(parseWindow('7d'), 7 * 24 * HOUR);
+  assert.throws(() => parseWindow('0h'), /Invalid insights window/);
+  assert.throws(() => parseWindow('1w'), /Invalid insights window/);
+});
+
+test('nothing is due before the first window', () => {
+  assert.deepStrictEqual(due({}, windows('1h', '24h', '7d'), 30 * 60 * 1000), { take: [], missed: [] });
+});
+
+test('a window is collected until half the window again has passed, then missed', () => {
+  const list = windows('24h');
+  assert.deepStrictEqual(due({}, list, 30 * HOUR), { take: ['24h'], missed: [] });
+  assert.deepStrictEqual(due({}, list, 36 * HOUR), { take: [], missed: ['24h'] });
+});
+
+test('windows due at once are each collected while on time', () => {
+  // 80 minutes: 1h is on time until 90 minutes, 72m until 108
+  assert.deepStrictEqual(due({}, windows('1h', '72m'), 80 * 60 * 1000), { take: ['1h', '72m'], missed: [] });
+});
+
+test('a late window is missed while a longer one still on time is collected', () => {
+  // 30 hours after a run that took nothing: 1h is late, 24h is on time
+  assert.deepStrictEqual(due({}, windows('1h', '24h', '7d'), 30 * HOUR), { take: ['24h'], missed: ['1h'] });
+});
+
+test('windows already collected or missed are not due again', () => {
+  const target = { insights: { '1h': { reactions: 3 }, '24h': { missed: true } } };
+  assert.deepStrictEqual(due(target, windows('1h', '24h', '7d'), 30 * HOUR), { take: [], missed: [] });
+  assert.deepStrictEqual(due(target, windows('1h', '24h', '7d'), 8 * 24 * HOUR), { take: ['7d'], missed: [] });
+});
@@ -0,0 +1,178 @@
+/**
+ * Instagram Publishing
+ * Publishes to an Instagram professional account through the Graph API
+ * container flow: create a media container, wait until Instagram has
+ * fetched and processed the media, then publish the container.
+ *
+ * Instagram downloads the media itself, so every image/video is passed as
+ * a public URL (see public-media.js).
+ * https://developers.facebook.com/docs/instagram-platform/content-publishing
+ */
+
+const { GraphApiError, getGraphBase } = require('./graph-api.js');
+
+const INSTAGRAM_LIMITS = {
+  caption_length: 2200,
+  hashtags: 30,
+  mentions: 20,
+  carousel_min: 2,
+  carousel_max: 10,
+  image_bytes: 8 * 1024 * 1024,
+  video_bytes: 1024 * 1024 * 1024
+};
+
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+const DEFAULT_POLL_TIMEOUT_MS = 5 * 60 * 1000;
+
+const JPEG_EXTENSIONS = /\.jpe?g$/i;
+const VIDEO_MIME_TYPES = ['video/mp4', 'video/quicktime'];
+const VIDEO_EXTENSIONS = /\.(mp4|mov)$/i;
+
+// Whether a file reference is a JPEG; unknown types get the benefit of the doubt
+function isJpeg(media) {
+  if (media.mimeType) return media.mimeType === 'image/jpeg';
+  const ref = (media.mediaUrl || '').split('?')[0];
+  return !/\.\w+$/.test(ref) || JPEG_EXTENSIONS.test(ref);
+}
+
+function describeType(media) {
+  const ext = /\.(\w+)$/.exec((media.mediaUrl || '').split('?')[0]);
+  return media.mimeType || (ext ? `.${ext[1]}` : 'unknown type');
+}
+
+function isSupportedVideo(media) {
+  if (media.mimeType) return VIDEO_MIME_TYPES.includes(media.mimeType);
+  const ref = (media.mediaUrl || '').split('?')[0];
+  return !/\.\w+$/.test(ref) || VIDEO_EXTENSIONS.test(ref);
+}
+
+/**
+ * Check an item against Instagram's caption and media constraints.
+ * @param {Object} item - queue item (or content about to be queued)
+ * @returns {string[]} problems; empty when the item can be published
+ */
+function validateInstagramItem(item) {
+  const errors = [];
+  const caption = item.text || '';
+
+  if (caption.length > INSTAGRAM_LIMITS.caption_length) {
+    errors.push(`Instagram captions are limited to ${INSTAGRAM_LIMITS.caption_length} characters (got ${caption.length})`);
+  }
+  const hashtags = caption.match(/#[\p{L}\p{N}_]+/gu) || [];
+  if (hashtags.length > INSTAGRAM_LIMITS.hashtags) {
+    errors.push(`Instagram allows at most ${INSTAGRAM_LIMITS.hashtags} hashtags (got ${hashtags.length})`);
+  }
+  const mentions = caption.match(/(^|\s)@[\w.]+/g) || [];
+  if (mentions.length > INSTAGRAM_LIMITS.mentions) {
+    errors.push(`Instagram allows at most ${INSTAGRAM_LIMITS.mentions} @mentions (got ${mentions.length})`);
+  }
+
+  if (!item.mediaType || item.mediaType === 'text') {
+    errors.push('Instagram posts need an image or video');
+    return errors;
+  }
+
+  if (item.media) {
+    if (item.media.length < INSTAGRAM_LIMITS.carousel_min || item.media.length > INSTAGRAM_LIMITS.carousel_max) {
+      errors.push(`Instagram carousels hold ${INSTAGRAM_LIMITS.carousel_min}-${INSTAGRAM_LIMITS.carousel_max} items (got ${item.media.length})`);
+    }
+    item.media.forEach((media, index) => {
+      if (!isJpeg(media)) errors.push(`Carousel image ${index + 1} is not a JPEG`);
+    });
+  } else if (item.mediaType === 'image') {
+    if (!isJpeg(item)) errors.push(`Instagram only accepts JPEG images (got ${describeType(item)})`);
+    if (item.fileSize && item.fileSize > INSTAGRAM_LIMITS.image_bytes) {
+      errors.push(`Instagram images are limited to ${INSTAGRAM_LIMITS.image_bytes / (1024 * 1024)} MB`);
+    }
+  } else if (item.mediaType === 'video') {
+    if (!isSupportedVideo(item)) errors.push(`Instagram only accepts MP4 or MOV video (got ${describeType(item)})`);
+    if (item.fileSize && item.fileSize > INSTAGRAM_LIMITS.video_bytes) {
+      errors.push(`Instagram videos are limited to ${INSTAGRAM_LIMITS.video_bytes / (1024 * 1024 * 1024)} GB`);
+    }
+  }
+
+  return errors;
+}
+
+async function graphPost(url, params, errorPrefix) {
+  const res = await fetch(url, { method: 'POST', body: new URLSearchParams(params) });
+  const data = await res.json();
+  if (data.error) throw new GraphApiError(data.error, errorPrefix);
+  return data;
+}
+
+async function createContainer(account, params, errorPrefix) {
+  const data = await graphPost(`${getGraphBase(account)}/${account.ig_user_id}/media`, {
+    ...params,
+    access_token: account.access_token
+  }, errorPrefix);
+  return data.id;
+}
+
+// Poll a container until Instagram has finished processing its media
+async function waitForContainer(account, containerId, log) {
+  const interval = Number(account.poll_interval_ms ?? DEFAULT_POLL_INTERVAL_MS);
+  const timeoutMs = Number(account.poll_timeout_ms ?? DEFAULT_POLL_TIMEOUT_MS);
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    const url = `${getGraphBase(account)}/${containerId}?fields=status_code,status&access_token=${encodeURIComponent(account.access_token)}`;
+    const res = await fetch(url);
+    const data = await res.json();
+    if (data.error) throw new GraphApiError(data.error, `Container ${containerId} status check failed`);
+
+    if (data.status_code === 'FINISHED') return;
+    if (data.status_code === 'ERROR' || data.status_code === 'EXPIRED') {
+      const error = new Error(`Container ${containerId} ${data.status_code}: ${data.status || 'no details'}`);
+      error.transient = false;
+      throw error;
+    }
+
+    if (Date.now() >= deadline) {
+      const error = new Error(`Container ${containerId} still ${data.status_code || 'processing'} after ${timeoutMs / 1000}s`);
+      error.transient = true;
+      throw error;
+    }
+    log(`Waiting for Instagram container ${containerId} (${data.status_code || 'IN_PROGRESS'})`);
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
+
+/**
+ * Publish an item to Instagram.
+ * @param {Object} item - queue item
+ * @param {Object} account - destination settings: ig_user_id, access_token,
+ *   api_version, graph_url, poll_interval_ms, poll_timeout_ms
+ * @param {string[]} mediaUrls - public URL for each image/video, in order
+ * @param {Object} [options] - log
+ * @returns {Object} { id } of the published media
+ */
+async function publishToInstagram(item, account, mediaUrls, { log = () => {} } = {}) {
+  const caption = item.text || '';
+  let containerId;
+
+  if (item.media && item.media.length > 1) {
+    const children = [];
+    for (const [index, imageUrl] of mediaUrls.entries()) {
+      const childId = await createContainer(account, { image_url: imageUrl, is_carousel_item: 'true' }, `Carousel item ${index + 1}/${mediaUrls.length} failed`);
+      log(`Created carousel item container ${index + 1}/${mediaUrls.length}: ${childId}`);
+      children.push(childId);
+    }
+    for (const childId of children) await waitForContainer(account, childId, log);
+    containerId = await createContainer(account, { media_type: 'CAROUSEL', children: children.join(','), caption }, 'Carousel container failed');
+  } else if (item.mediaType === 'video') {
+    containerId = await createContainer(account, { media_type: 'REELS', video_url: mediaUrls[0], caption, share_to_feed: 'true' }, 'Video container failed');
+  } else {
+    containerId = await createContainer(account, { image_url: mediaUrls[0], caption }, 'Image container failed');
+  }
+
+  log(`Created Instagram container ${containerId}`);
+  await waitForContainer(account, containerId, log);
+
+  return graphPost(`${getGraphBase(account)}/${account.ig_user_id}/media_publish`, {
+    creation_id: containerId,
+    access_token: account.access_token
+  }, 'Instagram publish failed');
+}
+
+module.exports = { INSTAGRAM_LIMITS, validateInstagramItem, publishToInstagram };
@@ -0,0 +1,96 @@
+/**
+ * Link Posts
+ * Finds the link a text post is about, so it goes out as a link card
+ *
+ * The primary link is the first Telegram url/text_link entity, else the
+ * first http(s) URL in the text. It is stored on the item as `link`, with
+ * tracking parameters added, and sent to /feed as the Graph `link`.
+ *
+ * settings.links:
+ *   enabled   detect links in text posts (default true)
+ *   utm       query parameters added to the link, e.g.
+ *             { "utm_source": "telegram", "utm_campaign": "{source}" };
+ *             {source} and {source_id} are filled in. Parameters the link
+ *             already has are left alone
+ *   sources   per-source overrides, keyed by source name or chat id; their
+ *             utm is merged over the global one (null removes a parameter)
+ */
+
+const DEFAULT_LINKS = {
+  enabled: true,
+  utm: {}
+};
+
+const URL_IN_TEXT = /\bhttps?:\/\/[^\s<>"']+/i;
+const TRAILING_PUNCTUATION = /[.,;:!?'"»…]+$/;
+const HOST_LABEL = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/i;
+
+// Effective link settings for a source: defaults < global < per-source
+function getLinkSettings(settings, source, sourceId) {
+  const { sources = {}, ...global } = settings?.links || {};
+  const override = (source && sources[source]) || (sourceId && sources[sourceId]) || {};
+  return { ...DEFAULT_LINKS, ...global, ...override, utm: { ...global.utm, ...override.utm } };
+}
+
+// "https://example.com/a)." -> "https://example.com/a"; keeps parentheses that belong to the URL
+function trimUrl(url) {
+  let trimmed = url.replace(TRAILING_PUNCTUATION, '');
+  while (trimmed.endsWith(')') && (trimmed.match(/\(/g) || []).length < (trimmed.match(/\)/g) || []).length) {
+    trimmed = trimmed.slice(0, -1).replace(TRAILING_PUNCTUATION, '');
+  }
+  return trimmed;
+}
+
+/**
+ * The link a message is about.
+ * @param {string} text - message text as received
+ * @param {Object[]} [entities] - Telegram entities for that text
+ * @returns {Object|null} { url, text } with the URL and how it appears in the text
+ */
+function extractPrimaryUrl(text, entities = []) {
+  const linkEntity = [...entities]
+    .sort((a, b) => a.offset - b.offset)
+    .find(e => e.type === 'url' || e.type === 'text_link');
+  if (linkEntity) {
+    const shown = text.slice(linkEntity.offset, linkEntity.offset + linkEntity.length);
+    if (linkEntity.type === 'text_link') return { url: linkEntity.url, text: shown };
+    // Telegram also marks bare domains ("example.com/page") as url entities
+    return { url: /^[a-z][a-z0-9+.-]*:\/\//i.test(shown) ? shown : `https://${shown}`, text: shown };
+  }
+
+  const match = URL_IN_TEXT.exec(text || '');
+  if (!match) return null;
+  const url = trimUrl(match[0]);
+  return { url, text: url };
+}
+
+// Whether Facebook can take this as a link: absolute http(s) with a real host name
+function isValidLink(link) {
+  if (typeof link !== 'string' || /\s/.test(link)) return false;
+  let url;
+  try {
+    url = new URL(link);
+  } catch {
+    return false;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return false;
+  const labels = url.hostname.split('.');
+  return labels.length >= 2 && labels.every(label => HOST_LABEL.test(label)) && !/^\d+$/.test(labels[labels.length - 1]);
+}
+
+/**
+ * Add the source's tracking parameters to a link.
+ * @param {string} link - a link that passed isValidLink()
+ * @returns {string}
+ */
+function tagLink(link, settings, source, sourceId) {
+  const { utm } = getLinkSettings(settings, source, sourceId);
+  const url = new URL(link);
+  for (const [key, value] of Object.entries(utm)) {
+    if (value === null || value === undefined || value === '' || url.searchParams.has(key)) continue;
+    url.searchParams.set(key, String(value).replace(/\{source\}/g, source || '').replace(/\{source_id\}/g, sourceId || ''));
+  }
+  return url.toString();
+}
+
+module.exports = { getLinkSettings, extractPrimaryUrl, isValidLink, tagLink };
@@ -0,0 +1,196 @@
+/**
+ * Logging
+ * Writes the activity log (posts.log) and the error log (logs/error.log)
+ *
+ * settings.logging:
+ *   format        "text" (default): "[time] [LEVEL] message" lines as before;
+ *                 "json": one JSON object per line with time, level, message
+ *                 and the itemId, source, phase and destination it concerns
+ *   max_bytes     rotate a log before it grows past this size (default 10 MB; 0 = never)
+ *   daily         also rotate at the first write of a new day (UTC)
+ *   max_files     rotated files kept per log (default 5)
+ *   max_age_days  rotated files older than this are deleted (default 30; 0 = keep)
+ *
+ * A rotated log is renamed <log>.<YYYYMMDD-HHMMSS>, stamped with its last write.
+ *
+ * Access tokens, app secrets and bot tokens are redacted from every entry,
+ * console output included: the configured values themselves, and anything
+ * shaped like one in URLs, form bodies and error messages.
+ *
+ * The item an entry concerns comes from runWithLogContext(), so code deep in
+ * a publish run logs with the item id without being handed it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const DEFAULT_LOGGING_SETTINGS = {
+  format: 'text',
+  max_bytes: 10 * 1024 * 1024,
+  daily: false,
+  max_files: 5,
+  max_age_days: 30
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REDACTED = '[REDACTED]';
+const ROTATED_SUFFIX = /^\.\d{8}-\d{6}(-\d+)?$/;
+// Config keys whose values are credentials
+const SECRET_KEY = /token|secret|password/i;
+const MIN_SECRET_LENGTH = 8;
+
+// Credentials that aren't in the config: query/form parameters, JSON fields,
+// Telegram bot tokens (also inside /bot<token>/ URLs) and Facebook tokens
+const SECRET_PATTERNS = [
+  [/((?:access_token|input_token|fb_exchange_token|client_secret|appsecret_proof)=)[^&\s"']+/gi, `$1${REDACTED}`],
+  [/("(?:access_token|input_token|client_secret|bot_token|secret_token)"\s*:\s*")[^"]*/gi, `$1${REDACTED}`],
+  [/\b\d{6,}:[A-Za-z0-9_-]{30,}/g, REDACTED],
+  [/\bEAA[A-Za-z0-9]{20,}/g, REDACTED]
+];
+
+const contextStorage = new AsyncLocalStorage();
+// Where log lines are echoed; stderr keeps stdout clean for machine-readable output
+let echoToStderr = false;
+
+/**
+ * Run fn with these fields (itemId, source, phase, destination) on every entry
+ * it logs, including from async work it starts. Nested calls add to the fields.
+ * @returns whatever fn returns
+ */
+function runWithLogContext(fields, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+// Echo log lines to stderr instead of stdout (e.g. for `--json` commands)
+function logToStderr(enabled = true) {
+  echoToStderr = enabled;
+}
+
+// Add fields to the current context, e.g. an item id assigned midway
+function addLogContext(fields) {
+  const store = contextStorage.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+// Credential values in the config (settings), placeholders left unresolved excepted
+function collectSecrets(settings) {
+  const secrets = new Set();
+  (function walk(value, key) {
+    if (typeof value === 'string') {
+      if (SECRET_KEY.test(key || '') && value.length >= MIN_SECRET_LENGTH && !value.startsWith('${')) secrets.add(value);
+    } else if (value && typeof value === 'object') {
+      for (const [childKey, child] of Object.entries(value)) walk(child, Array.isArray(value) ? key : childKey);
+    }
+  })(settings);
+  // Longest first, so a secret containing another is replaced whole
+  return [...secrets].sort((a, b) => b.length - a.length);
+}
+
+function createRedactor(secrets = []) {
+  return text => {
+    let redacted = String(text);
+    for (const secret of secrets) redacted = redacted.split(secret).join(REDACTED);
+    for (const [pattern, replacement] of SECRET_PATTERNS) redacted = redacted.replace(pattern, replacement);
+    return redacted;
+  };
+}
+
+// 2026-10-19T18:52:00.123Z -> 20261019-185200
+function formatStamp(date) {
+  return date.toISOString().slice(0, 19).replace(/-|:/g, '').replace('T', '-');
+}
+
+// Delete rotated files past max_files or older than max_age_days
+function pruneRotated(filePath, settings, now = Date.now()) {
+  const dir = path.dirname(filePath);
+  const base = path.basename(filePath);
+  const rotated = fs.readdirSync(dir)
+    .filter(name => name.startsWith(base) && ROTATED_SUFFIX.test(name.slice(base.length)))
+    .sort()
+    .reverse();
+  rotated.forEach((name, index) => {
+    const rotatedPath = path.join(dir, name);
+    try {
+      const tooOld = settings.max_age_days > 0 && now - fs.statSync(rotatedPath).mtimeMs > settings.max_age_days * DAY_MS;
+      if (index >= settings.max_files || tooOld) fs.unlinkSync(rotatedPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error; // pruned by another process
+    }
+  });
+}
+
+// Rotate the log if the next entry would take it past max_bytes, or a new day started
+function rotateIfNeeded(filePath, incomingBytes, settings, now = new Date()) {
+  let stats;
+  try {
+    stats = fs.statSync(filePath);
+  } catch {
+    return;
+  }
+  if (stats.size === 0) return;
+  const tooBig = settings.max_bytes > 0 && stats.size + incomingBytes > settings.max_bytes;
+  const newDay = settings.daily && stats.mtime.toISOString().slice(0, 10) !== now.toISOString().slice(0, 10);
+  if (!tooBig && !newDay) return;
+
+  let rotatedPath = `${filePath}.${formatStamp(stats.mtime)}`;
+  for (let n = 1; fs.existsSync(rotatedPath); n++) rotatedPath = `${filePath}.${formatStamp(stats.mtime)}-${n}`;
+  try {
+    fs.renameSync(filePath, rotatedPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return; // another process rotated it first
+    throw error;
+  }
+  pruneRotated(filePath, settings, now.getTime());
+}
+
+/**
+ * @param {Object} options - { logPath, errorLogPath, settings (settings.logging), secrets }
+ * @returns {Object} { log(message, level, fields), logError(message, error, fields), redact(text) }
+ */
+function createLogger({ logPath, errorLogPath, settings, secrets }) {
+  const options = { ...DEFAULT_LOGGING_SETTINGS, ...(settings || {}) };
+  const redact = createRedactor(secrets);
+  const json = options.format === 'json';
+
+  function write(filePath, entry) {
+    rotateIfNeeded(filePath, Buffer.byteLength(entry), options);
+    fs.appendFileSync(filePath, entry);
+  }
+
+  function jsonEntry(time, level, message, fields, extra = {}) {
+    const entry = { time, level, message, ...contextStorage.getStore(), ...fields, ...extra };
+    for (const key of Object.keys(entry)) {
+      if (entry[key] === undefined || entry[key] === null) delete entry[key];
+    }
+    return `${JSON.stringify(entry)}\n`;
+  }
+
+  function log(message, level = 'info', fields = {}) {
+    const timestamp = new Date().toISOString();
+    const line = `[${timestamp}] [${level.toUpperCase()}] ${redact(message)}`;
+    write(logPath, json ? jsonEntry(timestamp, level, redact(message), fields) : `${line}\n`);
+    (echoToStderr ? console.error : console.log)(line);
+  }
+
+  function logError(message, error, fields = {}) {
+    const timestamp = new Date().toISOString();
+    const errorEntry = `[${timestamp}] ERROR: ${redact(message)}`;
+    const stack = error ? redact(error.stack || error) : null;
+    write(errorLogPath, json
+      ? jsonEntry(timestamp, 'error', redact(message), fields, { error: error ? redact(error.message || error) : null, stack })
+      : `${errorEntry}\n${stack ? `[${timestamp}] STACK: ${stack}\n` : ''}`);
+    console.error(errorEntry);
+  }
+
+  return { log, logError, redact };
+}
+
+module.exports = {
+  DEFAULT_LOGGING_SETTINGS,
+  runWithLogContext,
+  addLogContext,
+  logToStderr,
+  collectSecrets,
+  createLogger
+};
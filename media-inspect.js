@@ -0,0 +1,345 @@
+/**
+ * Media Inspection
+ * Works out what a media file really is from its first bytes, instead of
+ * trusting its extension or the MIME type it arrived with
+ *
+ * Recognized: JPEG, PNG, GIF and WebP images (with their dimensions) and
+ * MP4 and MOV video (dimensions and duration from the moov box). Anything
+ * else is unsupported; a few common formats (HEIC, WebM, ...) are named so
+ * the error says what was sent.
+ *
+ * settings.media holds Facebook's limits, checked by checkMediaLimits():
+ *   image_max_bytes     largest photo (default 10 MB)
+ *   video_max_bytes     largest video (default 10 GB)
+ *   video_max_seconds   longest video (default 240 minutes)
+ *   video_min_seconds   shortest video (default 1 second)
+ *   inspect_max_bytes   Telegram files up to this size are downloaded at
+ *                       ingest to inspect them; larger ones are inspected
+ *                       when they are uploaded (default 20 MB)
+ */
+
+const fs = require('fs');
+
+const DEFAULT_MEDIA_SETTINGS = {
+  image_max_bytes: 10 * 1024 * 1024,
+  video_max_bytes: 10 * 1024 * 1024 * 1024,
+  video_max_seconds: 240 * 60,
+  video_min_seconds: 1,
+  inspect_max_bytes: 20 * 1024 * 1024
+};
+
+const FORMATS = {
+  jpeg: { name: 'JPEG', mimeType: 'image/jpeg', mediaType: 'image' },
+  png: { name: 'PNG', mimeType: 'image/png', mediaType: 'image' },
+  gif: { name: 'GIF', mimeType: 'image/gif', mediaType: 'image' },
+  webp: { name: 'WebP', mimeType: 'image/webp', mediaType: 'image' },
+  mp4: { name: 'MP4', mimeType: 'video/mp4', mediaType: 'video' },
+  mov: { name: 'MOV', mimeType: 'video/quicktime', mediaType: 'video' }
+};
+
+// Enough for every image header and, usually, a fast-start MP4's moov box
+const REMOTE_HEAD_BYTES = 256 * 1024;
+const MAX_MOOV_BYTES = 32 * 1024 * 1024;
+const DEFAULT_REMOTE_TIMEOUT_MS = 15000;
+
+// JPEG start-of-frame markers, which carry the dimensions (not DHT, JPG or DAC)
+const JPEG_SOF_MARKERS = new Set([0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF]);
+// ftyp brands of image formats that share the MP4 container
+const IMAGE_BRANDS = { heic: 'HEIC', heix: 'HEIC', mif1: 'HEIF', msf1: 'HEIF', avif: 'AVIF', avis: 'AVIF' };
+// Top-level QuickTime atoms that can open a MOV file written without ftyp
+const QUICKTIME_ATOMS = ['moov', 'mdat', 'wide', 'free', 'skip', 'pnot'];
+
+function getMediaSettings(settings) {
+  return { ...DEFAULT_MEDIA_SETTINGS, ...(settings?.media || {}) };
+}
+
+// Random access to the bytes of a file or a fetched prefix; read() may come back short
+function bufferSource(buffer) {
+  return { size: buffer.length, read: (start, end) => buffer.subarray(start, Math.min(end, buffer.length)) };
+}
+
+function fileSource(fd, size) {
+  return {
+    size,
+    read(start, end) {
+      const buffer = Buffer.alloc(Math.max(0, Math.min(end, size) - start));
+      const bytesRead = buffer.length > 0 ? fs.readSync(fd, buffer, 0, buffer.length, start) : 0;
+      return buffer.subarray(0, bytesRead);
+    }
+  };
+}
+
+// Format from the magic bytes: { format } for supported files, { detected } naming a known unsupported one
+function detectFormat(head) {
+  const ascii = (start, end) => head.toString('latin1', start, end);
+  if (head.length >= 3 && head[0] === 0xFF && head[1] === 0xD8 && head[2] === 0xFF) return { format: 'jpeg' };
+  if (head.length >= 8 && head.readUInt32BE(0) === 0x89504E47 && head.readUInt32BE(4) === 0x0D0A1A0A) return { format: 'png' };
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return { format: 'gif' };
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return { format: 'webp' };
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'AVI ') return { detected: 'AVI' };
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (IMAGE_BRANDS[brand]) return { detected: IMAGE_BRANDS[brand] };
+    if (brand.startsWith('3g')) return { detected: '3GP' };
+    return { format: brand === 'qt  ' ? 'mov' : 'mp4' };
+  }
+  if (QUICKTIME_ATOMS.includes(ascii(4, 8))) return { format: 'mov' };
+  if (head.length >= 4 && head.readUInt32BE(0) === 0x1A45DFA3) return { detected: 'WebM/Matroska' };
+  if (ascii(0, 2) === 'BM') return { detected: 'BMP' };
+  if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') return { detected: 'TIFF' };
+  if (ascii(0, 5) === '%PDF-') return { detected: 'PDF' };
+  return {};
+}
+
+function jpegDimensions(source) {
+  let offset = 2;
+  while (offset + 4 <= source.size) {
+    const head = source.read(offset, offset + 9);
+    if (head.length < 4 || head[0] !== 0xFF) return null;
+    const marker = head[1];
+    if (marker === 0xFF) {
+      offset++; // fill byte
+    } else if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD8)) {
+      offset += 2; // markers without a length
+    } else if (marker === 0xD9 || marker === 0xDA) {
+      return null; // image data before any frame header
+    } else if (JPEG_SOF_MARKERS.has(marker)) {
+      return head.length >= 9 ? { width: head.readUInt16BE(7), height: head.readUInt16BE(5) } : null;
+    } else {
+      offset += 2 + head.readUInt16BE(2);
+    }
+  }
+  return null;
+}
+
+function webpDimensions(head) {
+  if (head.length < 30) return null;
+  const chunk = head.toString('latin1', 12, 16);
+  if (chunk === 'VP8 ') {
+    return { width: head.readUInt16LE(26) & 0x3FFF, height: head.readUInt16LE(28) & 0x3FFF };
+  }
+  if (chunk === 'VP8L') {
+    const bits = head.readUInt32LE(21);
+    return { width: (bits & 0x3FFF) + 1, height: ((bits >>> 14) & 0x3FFF) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    return { width: head.readUIntLE(24, 3) + 1, height: head.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+function imageDimensions(format, head, source) {
+  if (format === 'jpeg') return jpegDimensions(source);
+  if (format === 'png') return head.length >= 24 ? { width: head.readUInt32BE(16), height: head.readUInt32BE(20) } : null;
+  if (format === 'gif') return head.length >= 10 ? { width: head.readUInt16LE(6), height: head.readUInt16LE(8) } : null;
+  return webpDimensions(head);
+}
+
+// ISO BMFF box at offset: { type, bodyStart, end }, or null past the readable bytes
+function readBoxHeader(source, offset, end) {
+  const head = source.read(offset, Math.min(offset + 16, end));
+  if (head.length < 8) return null;
+  let size = head.readUInt32BE(0);
+  let headerSize = 8;
+  if (size === 1) {
+    if (head.length < 16) return null;
+    size = Number(head.readBigUInt64BE(8));
+    headerSize = 16;
+  } else if (size === 0) {
+    size = end - offset; // runs to the end of the file
+  }
+  if (size < headerSize) return null;
+  return { type: head.toString('latin1', 4, 8), bodyStart: offset + headerSize, end: offset + size };
+}
+
+function childBoxes(buffer) {
+  const source = bufferSource(buffer);
+  const boxes = [];
+  for (let offset = 0, box; (box = readBoxHeader(source, offset, buffer.length)); offset = box.end) {
+    boxes.push({ type: box.type, body: buffer.subarray(box.bodyStart, box.end) });
+  }
+  return boxes;
+}
+
+function findChild(buffer, type) {
+  return childBoxes(buffer).find(box => box.type === type)?.body || null;
+}
+
+// Duration (mvhd) and the first video track's size (tkhd of the track whose handler is 'vide')
+function readMoov(moov) {
+  const info = { hasVideo: false };
+  for (const box of childBoxes(moov)) {
+    if (box.type === 'mvhd' && box.body.length >= 32) {
+      const v1 = box.body[0] === 1;
+      const timescale = box.body.readUInt32BE(v1 ? 20 : 12);
+      const duration = v1 ? Number(box.body.readBigUInt64BE(24)) : box.body.readUInt32BE(16);
+      if (timescale > 0 && duration !== 0xFFFFFFFF) info.duration = Math.round((duration / timescale) * 1000) / 1000;
+    } else if (box.type === 'trak' && !info.hasVideo) {
+      const mdia = findChild(box.body, 'mdia');
+      const hdlr = mdia && findChild(mdia, 'hdlr');
+      if (!hdlr || hdlr.toString('latin1', 8, 12) !== 'vide') continue;
+      info.hasVideo = true;
+      const tkhd = findChild(box.body, 'tkhd');
+      if (tkhd && tkhd.length >= 8) {
+        // 16.16 fixed point, the last two fields of tkhd
+        info.width = Math.round(tkhd.readUInt32BE(tkhd.length - 8) / 65536);
+        info.height = Math.round(tkhd.readUInt32BE(tkhd.length - 4) / 65536);
+      }
+    }
+  }
+  return info;
+}
+
+// Walk the top-level boxes to moov, which may come after mdat; null if it can't be read
+function readMovie(source) {
+  for (let offset = 0, box; (box = readBoxHeader(source, offset, source.size)); offset = box.end) {
+    if (box.type !== 'moov') continue;
+    if (box.end - box.bodyStart > MAX_MOOV_BYTES) return null;
+    const moov = source.read(box.bodyStart, box.end);
+    return moov.length === box.end - box.bodyStart ? readMoov(moov) : null;
+  }
+  return null;
+}
+
+/**
+ * @param {Object} source - bufferSource() or fileSource()
+ * @param {number|null} size - file size, when known
+ * @returns {Object} { format, mimeType, mediaType, size, width, height, duration, hasVideo };
+ *   format is null for unsupported files, with `detected` naming the format when known
+ */
+function inspectSource(source, size) {
+  const head = source.read(0, 64);
+  const { format, detected } = detectFormat(head);
+  const info = { format: format || null, mimeType: null, mediaType: null, size, width: null, height: null };
+  if (!format) return detected ? { ...info, detected } : info;
+
+  const { mimeType, mediaType } = FORMATS[format];
+  Object.assign(info, { mimeType, mediaType });
+  if (mediaType === 'image') {
+    Object.assign(info, imageDimensions(format, source.read(0, 32), source));
+  } else {
+    const movie = readMovie(source);
+    // hasVideo stays unknown (undefined) when moov wasn't in the bytes we had
+    Object.assign(info, { duration: null }, movie);
+  }
+  return info;
+}
+
+function inspectBuffer(buffer, size = buffer.length) {
+  return inspectSource(bufferSource(buffer), size);
+}
+
+function inspectFile(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const size = fs.fstatSync(fd).size;
+    return inspectSource(fileSource(fd, size), size);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+async function readPrefix(body, maxBytes) {
+  const chunks = [];
+  let length = 0;
+  const reader = body.getReader();
+  while (length < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    length += value.length;
+  }
+  await reader.cancel();
+  return Buffer.concat(chunks).subarray(0, maxBytes);
+}
+
+/**
+ * Inspect a remote file from its first bytes (a Range request; servers that
+ * ignore it are cut off). Video duration is only found when the moov box is
+ * near the start of the file.
+ */
+async function inspectRemote(url, { timeoutMs = DEFAULT_REMOTE_TIMEOUT_MS } = {}) {
+  const res = await fetch(url, {
+    headers: { Range: `bytes=0-${REMOTE_HEAD_BYTES - 1}` },
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  if (!res.ok) {
+    const error = new Error(`${url} returned HTTP ${res.status}`);
+    // A missing or forbidden file stays that way; a struggling server may recover
+    error.transient = res.status >= 500 || res.status === 429;
+    throw error;
+  }
+  const head = await readPrefix(res.body, REMOTE_HEAD_BYTES);
+  const total = /\/(\d+)$/.exec(res.headers.get('content-range') || '');
+  const length = res.status === 200 ? Number(res.headers.get('content-length')) || null : null;
+  return inspectBuffer(head, total ? Number(total[1]) : length);
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.ceil(bytes / 1024)} KB`;
+}
+
+// 0.4s, 0:42, 1:05:00
+function formatSeconds(seconds) {
+  if (seconds < 60) return `${Math.round(seconds * 10) / 10}s`;
+  const total = Math.round(seconds);
+  const pad = n => String(n).padStart(2, '0');
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(total % 60)}` : `${minutes}:${pad(total % 60)}`;
+}
+
+/**
+ * Check inspected media against Facebook's format and size limits.
+ * @param {Object} info - inspectFile()/inspectRemote() result, or { error } when the file couldn't be read
+ * @param {string} [mediaType] - what the item says it is: 'image' or 'video'
+ * @param {Object} settings - getMediaSettings() result
+ * @returns {string[]} problems; empty when Facebook can take the file
+ */
+function checkMediaLimits(info, mediaType, settings) {
+  if (info.error) return [info.error];
+  if (!info.format) {
+    return [`Unsupported media format${info.detected ? ` (${info.detected})` : ''}: Facebook takes JPEG, PNG, GIF or WebP images and MP4 or MOV video`];
+  }
+  const name = FORMATS[info.format].name;
+  if (mediaType && mediaType !== info.mediaType) {
+    return [`Sent as ${mediaType} but the file is ${name} ${info.mediaType}`];
+  }
+
+  const errors = [];
+  const maxBytes = info.mediaType === 'image' ? settings.image_max_bytes : settings.video_max_bytes;
+  if (info.size && info.size > maxBytes) {
+    errors.push(`${name} ${info.mediaType} is ${formatBytes(info.size)}, above the ${formatBytes(maxBytes)} limit`);
+  }
+  if (info.mediaType === 'video') {
+    if (info.hasVideo === false) errors.push(`${name} file has no video track`);
+    if (info.duration > settings.video_max_seconds) {
+      errors.push(`Video is ${formatSeconds(info.duration)} long, above the ${formatSeconds(settings.video_max_seconds)} limit`);
+    } else if (info.duration !== null && info.duration !== undefined && info.duration < settings.video_min_seconds) {
+      errors.push(`Video is ${formatSeconds(info.duration)} long, below the ${formatSeconds(settings.video_min_seconds)} minimum`);
+    }
+  }
+  return errors;
+}
+
+// "JPEG 1280x720, 245 KB", "MP4 1920x1080, 0:42, 12.3 MB"
+function formatMediaInfo(info) {
+  if (!info) return 'not inspected';
+  if (!info.format) return `unsupported${info.detected ? ` (${info.detected})` : ''}`;
+  const parts = [FORMATS[info.format].name + (info.width && info.height ? ` ${info.width}x${info.height}` : '')];
+  if (info.duration) parts.push(formatSeconds(info.duration));
+  if (info.size) parts.push(formatBytes(info.size));
+  return parts.join(', ');
+}
+
+module.exports = {
+  DEFAULT_MEDIA_SETTINGS,
+  getMediaSettings,
+  inspectBuffer,
+  inspectFile,
+  inspectRemote,
+  checkMediaLimits,
+  formatMediaInfo
+};
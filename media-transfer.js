@@ -0,0 +1,198 @@
+/**
+ * Media Transfer
+ * Streams media from Telegram to disk and from disk to the Graph API, so
+ * memory use stays flat whatever the file size
+ *
+ * Downloads are written as they arrive; the response is only read as fast
+ * as the disk takes it. They are hashed on the way and verified afterwards:
+ * the byte count against the expected size, and the file on disk against
+ * that hash. Multipart uploads read the file in chunks while the request is
+ * being sent. Both log progress for large files.
+ *
+ * These use Node's http client rather than fetch: fetch reads a streamed
+ * request body ahead of the socket, buffering most of the file.
+ *
+ * A transfer is aborted when its connection goes quiet for IDLE_TIMEOUT_MS
+ * or it runs past TRANSFER_DEADLINE_MS, with a transient error, so a stalled
+ * connection is retried later instead of holding up the run (and its lock).
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { hashFile } = require('./dedupe.js');
+
+const READ_CHUNK_BYTES = 1024 * 1024;
+// Progress is logged for files of at least PROGRESS_MIN_BYTES, every quarter
+// of the size, or every PROGRESS_UNKNOWN_STEP_BYTES when the size is unknown
+const PROGRESS_MIN_BYTES = 5 * 1024 * 1024;
+const PROGRESS_FRACTION = 0.25;
+const PROGRESS_UNKNOWN_STEP_BYTES = 10 * 1024 * 1024;
+const IDLE_TIMEOUT_MS = 60 * 1000;
+const TRANSFER_DEADLINE_MS = 30 * 60 * 1000;
+
+function timeoutError(message) {
+  const error = new Error(message);
+  error.code = 'ETIMEDOUT';
+  error.transient = true;
+  return error;
+}
+
+/**
+ * Start a request; resolves with the response stream once its headers arrive.
+ * The deadline covers reading the response too: a stalled transfer errors
+ * the request and the response stream.
+ * @param {Object} [limits] - { idleTimeoutMs, deadlineMs }
+ */
+function request(url, options, body, { idleTimeoutMs = IDLE_TIMEOUT_MS, deadlineMs = TRANSFER_DEADLINE_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    let response = null;
+    const abort = message => {
+      const error = timeoutError(`Transfer to ${target.host} timed out: ${message}`);
+      req.destroy(error);
+      if (response) response.destroy(error);
+    };
+    const deadline = setTimeout(() => abort(`not finished after ${deadlineMs / 1000}s`), deadlineMs);
+    const req = (target.protocol === 'https:' ? https : http).request(target, options, res => {
+      response = res;
+      res.once('close', () => clearTimeout(deadline));
+      resolve(res);
+    });
+    req.setTimeout(idleTimeoutMs, () => abort(`no data for ${idleTimeoutMs / 1000}s`));
+    req.on('error', error => {
+      clearTimeout(deadline);
+      reject(error);
+    });
+    if (!body) {
+      req.end();
+      return;
+    }
+    pipeline(body, req).catch(error => {
+      req.destroy(error);
+      reject(error);
+    });
+  });
+}
+
+function formatMegabytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * @param {string} label - what is being transferred, for the log
+ * @param {number|null} total - expected bytes, when known
+ * @returns {Function} call with the bytes transferred so far
+ */
+function createProgressReporter(label, total, log) {
+  const step = total ? total * PROGRESS_FRACTION : PROGRESS_UNKNOWN_STEP_BYTES;
+  let nextReport = step;
+  return bytes => {
+    if ((total && total < PROGRESS_MIN_BYTES) || bytes < nextReport || (total && bytes >= total)) return;
+    log(total
+      ? `${label}: ${formatMegabytes(bytes)} of ${formatMegabytes(total)} (${Math.floor((bytes / total) * 100)}%)`
+      : `${label}: ${formatMegabytes(bytes)}`);
+    while (nextReport <= bytes) nextReport += step;
+  };
+}
+
+/**
+ * Download a URL straight to a file. A partial or damaged file is removed.
+ * @param {Object} [options] - { expectedSize, label, log, idleTimeoutMs, deadlineMs }
+ * @returns {Promise<Object>} { path, size, sha256 } with sha256 as "sha256:<hex>" (see dedupe.js)
+ */
+async function downloadToFile(url, filePath, { expectedSize = null, label = filePath, log = () => {}, ...limits } = {}) {
+  const res = await request(url, { method: 'GET' }, null, limits);
+  if (res.statusCode < 200 || res.statusCode >= 300) {
+    res.resume();
+    const error = new Error(`Failed to download file: ${res.statusCode}`);
+    // Gone or forbidden stays that way; server errors and rate limits may pass
+    error.transient = res.statusCode >= 500 || res.statusCode === 429;
+    throw error;
+  }
+
+  const total = expectedSize || Number(res.headers['content-length']) || null;
+  const hash = crypto.createHash('sha256');
+  const progress = createProgressReporter(label, total, log);
+  let size = 0;
+  const meter = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      size += chunk.length;
+      progress(size);
+      callback(null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(res, meter, fs.createWriteStream(filePath));
+    if (total && size !== total) {
+      throw new Error(`Download incomplete: got ${size} of ${total} bytes`);
+    }
+    const sha256 = `sha256:${hash.digest('hex')}`;
+    if (hashFile(filePath) !== sha256) {
+      throw new Error('Checksum mismatch: the file on disk differs from what was downloaded');
+    }
+    return { path: filePath, size, sha256 };
+  } catch (error) {
+    fs.rmSync(filePath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * A multipart/form-data body that streams its file part from disk.
+ * @param {Object} fields - plain form fields
+ * @param {Object} file - { path, start, end, filename }; start/end pick a byte range (default: whole file)
+ * @param {Function} [onProgress] - called with the file bytes sent so far
+ * @returns {Object} { body, boundary, length }; body is an async iterable, read once
+ */
+function createMultipartFormData(fields, file, fileFieldName, mimeType = 'application/octet-stream', onProgress = () => {}) {
+  const boundary = '----FormBoundary' + Math.random().toString(36).substring(2);
+  const start = file.start || 0;
+  const end = file.end ?? fs.statSync(file.path).size;
+  const fieldParts = Object.entries(fields)
+    .map(([key, value]) => `--${boundary}\r\nContent-Disposition: form-data; name="${key}"\r\n\r\n${value}\r\n`)
+    .join('');
+  const head = Buffer.from(`${fieldParts}--${boundary}\r\nContent-Disposition: form-data; name="${fileFieldName}"; filename="${file.filename}"\r\nContent-Type: ${mimeType}\r\n\r\n`);
+  const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+
+  async function* body() {
+    yield head;
+    let sent = 0;
+    if (end > start) {
+      for await (const chunk of fs.createReadStream(file.path, { start, end: end - 1, highWaterMark: READ_CHUNK_BYTES })) {
+        sent += chunk.length;
+        onProgress(sent);
+        yield chunk;
+      }
+    }
+    if (sent !== end - start) throw new Error(`${file.path} changed while uploading (${sent} of ${end - start} bytes read)`);
+    yield tail;
+  }
+
+  return { body: body(), boundary, length: head.length + (end - start) + tail.length };
+}
+
+/**
+ * POST a createMultipartFormData() body, read from disk only as fast as the connection drains.
+ * @param {Object} [limits] - { idleTimeoutMs, deadlineMs }
+ * @returns {Promise<Response>} the (small) Graph API response, as fetch would return it
+ */
+async function postMultipart(url, formData, limits) {
+  const res = await request(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': `multipart/form-data; boundary=${formData.boundary}`,
+      'Content-Length': formData.length
+    }
+  }, Readable.from(formData.body), limits);
+  const chunks = [];
+  for await (const chunk of res) chunks.push(chunk);
+  return new Response(Buffer.concat(chunks), { status: res.statusCode, headers: { 'Content-Type': res.headers['content-type'] || 'application/json' } });
+}
+
+module.exports = { createProgressReporter, downloadToFile, createMultipartFormData, postMultipart };
@@ -0,0 +1,87 @@
+/**
+ * Public Media
+ * Instagram fetches media from a public URL instead of taking an upload.
+ * Files are staged under temp/public with an unguessable name and served
+ * from settings.public_media.base_url (the webhook server serves them at
+ * /media/<name>, or point base_url at any static host for that directory).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PUBLIC_MEDIA_DIR = path.join(__dirname, 'temp', 'public');
+const PUBLIC_MEDIA_ROUTE = '/media/';
+const STAGED_NAME = /^[a-f0-9]{32}\.(jpg|jpeg|mp4|mov)$/;
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime'
+};
+
+function getPublicBaseUrl(settings) {
+  const baseUrl = settings?.public_media?.base_url;
+  if (!baseUrl || baseUrl.startsWith('${')) return null;
+  return baseUrl.replace(/\/+$/, '');
+}
+
+/**
+ * Copy a local file to the public media directory.
+ * @returns {Object} { url, path } of the staged copy
+ */
+function stagePublicFile(localPath, settings) {
+  const baseUrl = getPublicBaseUrl(settings);
+  if (!baseUrl) {
+    const error = new Error('settings.public_media.base_url is required to publish local or Telegram media to Instagram');
+    error.transient = false;
+    throw error;
+  }
+
+  const ext = path.extname(localPath).toLowerCase() || '.jpg';
+  if (!CONTENT_TYPES[ext]) {
+    const error = new Error(`Cannot stage ${path.basename(localPath)}: only JPEG, MP4 and MOV files are served`);
+    error.transient = false;
+    throw error;
+  }
+
+  fs.mkdirSync(PUBLIC_MEDIA_DIR, { recursive: true });
+  const name = crypto.randomBytes(16).toString('hex') + ext;
+  const stagedPath = path.join(PUBLIC_MEDIA_DIR, name);
+  fs.copyFileSync(localPath, stagedPath);
+  return { url: `${baseUrl}/${name}`, path: stagedPath };
+}
+
+function removeStagedFile(stagedPath) {
+  try {
+    fs.unlinkSync(stagedPath);
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+}
+
+/**
+ * Serve GET /media/<name> from the public media directory.
+ * @returns {boolean} true when the request was handled
+ */
+function handlePublicMediaRequest(req, res, url) {
+  if (req.method !== 'GET' || !url.pathname.startsWith(PUBLIC_MEDIA_ROUTE)) return false;
+
+  const name = url.pathname.slice(PUBLIC_MEDIA_ROUTE.length);
+  const filePath = path.join(PUBLIC_MEDIA_DIR, name);
+  if (!STAGED_NAME.test(name) || !fs.existsSync(filePath)) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: false, error: 'not_found' }));
+    return true;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[path.extname(name)],
+    'Content-Length': fs.statSync(filePath).size
+  });
+  fs.createReadStream(filePath).pipe(res);
+  return true;
+}
+
+module.exports = { PUBLIC_MEDIA_DIR, getPublicBaseUrl, stagePublicFile, removeStagedFile, handlePublicMediaRequest };
@@ -0,0 +1,317 @@
+/**
+ * Queue Storage
+ * Crash-safe, lock-protected persistence for the post queue.
+ *
+ * Backends share one synchronous interface:
+ *   load()          read the current queue (no lock needed)
+ *   save(queue)     replace the queue
+ *   update(fn)      lock, load, let fn mutate the queue, save, unlock; an
+ *                   update() inside fn works on the same queue object
+ *
+ * - json:   queue.json written via temp file + fsync + rename, guarded by a
+ *           lock file, with queue.json.bak kept as the last good copy
+ * - sqlite: the queue document stored in a SQLite database (node:sqlite,
+ *           Node 22.5+), using SQLite's own locking and transactions
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LOCK_TIMEOUT_MS = 10000;
+const DEFAULT_STALE_LOCK_MS = 30000;
+const LOCK_RETRY_MS = 25;
+
+class QueueStoreError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'QueueStoreError';
+  }
+}
+
+function emptyQueue() {
+  return { pending: [], awaiting: [], posted: [], dead: [], lastPostTime: null, fingerprints: [] };
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+// Parse and sanity-check a queue document
+function parseQueue(raw, source) {
+  const queue = JSON.parse(raw);
+  if (!queue || typeof queue !== 'object' || !Array.isArray(queue.pending)) {
+    throw new SyntaxError(`${source} is not a queue document`);
+  }
+  if (!Array.isArray(queue.posted)) queue.posted = [];
+  if (!Array.isArray(queue.dead)) queue.dead = [];
+  if (!Array.isArray(queue.awaiting)) queue.awaiting = [];
+  return queue;
+}
+
+/**
+ * Acquire an exclusive lock file. Locks left behind by dead processes, or
+ * older than staleMs, are broken.
+ * @param {string} lockPath
+ * @param {Object} [options] - timeoutMs (0 = try once), staleMs
+ * @returns {boolean} true when the lock was acquired
+ */
+function acquireLock(lockPath, { timeoutMs = DEFAULT_LOCK_TIMEOUT_MS, staleMs = DEFAULT_STALE_LOCK_MS } = {}) {
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    try {
+      const fd = fs.openSync(lockPath, 'wx');
+      fs.writeSync(fd, JSON.stringify({ pid: process.pid, acquiredAt: new Date().toISOString() }));
+      fs.closeSync(fd);
+      return true;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+
+    try {
+      const holder = JSON.parse(fs.readFileSync(lockPath, 'utf8') || '{}');
+      const age = Date.now() - fs.statSync(lockPath).mtimeMs;
+      if ((holder.pid && !isProcessAlive(holder.pid)) || age > staleMs) {
+        fs.unlinkSync(lockPath);
+        continue;
+      }
+    } catch (e) {
+      // Holder released it (or is still writing it) between our checks; retry
+      if (e.code === 'ENOENT') continue;
+    }
+
+    if (Date.now() >= deadline) return false;
+    sleepSync(LOCK_RETRY_MS);
+  }
+}
+
+function releaseLock(lockPath) {
+  try {
+    fs.unlinkSync(lockPath);
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+}
+
+// Write a file so readers only ever see the old or the new content
+function writeFileAtomic(filePath, data) {
+  const tmpPath = `${filePath}.tmp-${process.pid}`;
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+}
+
+function createJsonStore(options) {
+  const queuePath = options.path;
+  const backupPath = `${queuePath}.bak`;
+  const lockPath = `${queuePath}.lock`;
+  const { log, logError } = options;
+  let lockDepth = 0;
+  let activeQueue = null; // the queue an update() in progress is changing
+
+  function withLock(fn) {
+    if (lockDepth === 0 && !acquireLock(lockPath, { timeoutMs: options.lockTimeoutMs, staleMs: options.staleLockMs })) {
+      throw new QueueStoreError(`Timed out waiting for queue lock ${lockPath}`);
+    }
+    lockDepth++;
+    try {
+      return fn();
+    } finally {
+      lockDepth--;
+      if (lockDepth === 0) releaseLock(lockPath);
+    }
+  }
+
+  function readBackup() {
+    if (!fs.existsSync(backupPath)) return null;
+    try {
+      return parseQueue(fs.readFileSync(backupPath, 'utf8'), backupPath);
+    } catch (e) {
+      logError(`Queue backup ${backupPath} is unreadable`, e);
+      return null;
+    }
+  }
+
+  function load() {
+    if (!fs.existsSync(queuePath)) return emptyQueue();
+
+    try {
+      return parseQueue(fs.readFileSync(queuePath, 'utf8'), queuePath);
+    } catch (error) {
+      logError(`Queue file ${queuePath} is corrupt`, error);
+
+      return withLock(() => {
+        // Another process may have repaired it while we waited for the lock
+        try {
+          return parseQueue(fs.readFileSync(queuePath, 'utf8'), queuePath);
+        } catch (e) {
+          // still corrupt, recover below
+        }
+
+        const corruptPath = `${queuePath}.corrupt-${Date.now()}`;
+        fs.copyFileSync(queuePath, corruptPath);
+
+        const backup = readBackup();
+        if (!backup) {
+          throw new QueueStoreError(`Queue file ${queuePath} is corrupt and no usable backup exists (copy kept at ${corruptPath})`, { cause: error });
+        }
+
+        writeFileAtomic(queuePath, JSON.stringify(backup, null, 2));
+        log(`Recovered queue from ${backupPath} (corrupt copy kept at ${corruptPath})`, 'warn');
+        return backup;
+      });
+    }
+  }
+
+  function writeQueue(queue) {
+    // Keep the previous version as the backup, but never back up a corrupt file
+    if (fs.existsSync(queuePath)) {
+      try {
+        const current = fs.readFileSync(queuePath, 'utf8');
+        parseQueue(current, queuePath);
+        writeFileAtomic(backupPath, current);
+      } catch (e) {
+        // leave the existing backup alone
+      }
+    }
+    writeFileAtomic(queuePath, JSON.stringify(queue, null, 2));
+  }
+
+  return {
+    backend: 'json',
+    load,
+    save(queue) {
+      withLock(() => writeQueue(queue));
+    },
+    update(fn) {
+      // Nested: change the outer copy, which the outer update saves
+      if (activeQueue) return fn(activeQueue);
+      return withLock(() => {
+        activeQueue = load();
+        try {
+          const result = fn(activeQueue);
+          writeQueue(activeQueue);
+          return result;
+        } finally {
+          activeQueue = null;
+        }
+      });
+    }
+  };
+}
+
+function createSqliteStore(options) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = require('node:sqlite'));
+  } catch (e) {
+    throw new QueueStoreError(`The sqlite queue backend needs node:sqlite (Node 22.5+), not available in Node ${process.versions.node}`, { cause: e });
+  }
+
+  const db = new DatabaseSync(options.path);
+  db.exec(`PRAGMA journal_mode = WAL; PRAGMA busy_timeout = ${Number(options.lockTimeoutMs)};`);
+  db.exec('CREATE TABLE IF NOT EXISTS queue_state (id INTEGER PRIMARY KEY CHECK (id = 1), data TEXT NOT NULL, updated_at TEXT NOT NULL)');
+
+  const selectStmt = db.prepare('SELECT data FROM queue_state WHERE id = 1');
+  const upsertStmt = db.prepare('INSERT INTO queue_state (id, data, updated_at) VALUES (1, ?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at');
+  let inTransaction = false;
+  let activeQueue = null;
+
+  function load() {
+    const row = selectStmt.get();
+    return row ? parseQueue(row.data, options.path) : emptyQueue();
+  }
+
+  function write(queue) {
+    upsertStmt.run(JSON.stringify(queue), new Date().toISOString());
+  }
+
+  function transaction(fn) {
+    if (inTransaction) return fn();
+    db.exec('BEGIN IMMEDIATE');
+    inTransaction = true;
+    try {
+      const result = fn();
+      db.exec('COMMIT');
+      return result;
+    } catch (e) {
+      db.exec('ROLLBACK');
+      throw e;
+    } finally {
+      inTransaction = false;
+    }
+  }
+
+  // Bring over an existing queue.json the first time the database is used
+  if (!selectStmt.get() && options.importFrom && fs.existsSync(options.importFrom)) {
+    transaction(() => {
+      if (!selectStmt.get()) {
+        write(parseQueue(fs.readFileSync(options.importFrom, 'utf8'), options.importFrom));
+        options.log(`Imported ${options.importFrom} into ${options.path}`);
+      }
+    });
+  }
+
+  return {
+    backend: 'sqlite',
+    load,
+    save(queue) {
+      transaction(() => write(queue));
+    },
+    update(fn) {
+      if (activeQueue) return fn(activeQueue);
+      return transaction(() => {
+        activeQueue = load();
+        try {
+          const result = fn(activeQueue);
+          write(activeQueue);
+          return result;
+        } finally {
+          activeQueue = null;
+        }
+      });
+    }
+  };
+}
+
+/**
+ * Create a queue store.
+ * @param {Object} options - backend ('json' | 'sqlite'), path, lockTimeoutMs,
+ *   staleLockMs, importFrom (sqlite only), log, logError
+ */
+function createQueueStore(options) {
+  const resolved = {
+    backend: 'json',
+    lockTimeoutMs: DEFAULT_LOCK_TIMEOUT_MS,
+    staleLockMs: DEFAULT_STALE_LOCK_MS,
+    log: () => {},
+    logError: () => {},
+    ...options
+  };
+  resolved.path = path.resolve(resolved.path);
+
+  switch (resolved.backend) {
+    case 'json':
+      return createJsonStore(resolved);
+    case 'sqlite':
+      return createSqliteStore(resolved);
+    default:
+      throw new QueueStoreError(`Unknown queue backend: ${resolved.backend}`);
+  }
+}
+
+module.exports = { createQueueStore, acquireLock, releaseLock, emptyQueue, QueueStoreError };
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+/**
+ * Queue storage tests
+ * Locking, crash recovery and nested updates of queue-store.js, against
+ * queues in a temporary directory
+ *
+ * Usage: node --test queue_store_test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createQueueStore, acquireLock, releaseLock, QueueStoreError } = require('./queue-store.js');
+
+const hasSqlite = (() => {
+  try {
+    require('node:sqlite');
+    return true;
+  } catch (e) {
+    return false;
+  }
+})();
+
+function tempQueuePath(name = 'queue.json') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-store-test-'));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, name);
+}
+
+function writeLock(lockPath, pid) {
+  fs.writeFileSync(lockPath, JSON.stringify({ pid, acquiredAt: new Date().toISOString() }));
+}
+
+test('update saves the queue and keeps the previous version as .bak', () => {
+  const queuePath = tempQueuePath();
+  const store = createQueueStore({ path: queuePath });
+
+  store.update(queue => queue.pending.push({ id: 'a' }));
+  const result = store.update(queue => {
+    queue.pending.push({ id: 'b' });
+    return queue.pending.length;
+  });
+
+  assert.strictEqual(result, 2);
+  assert.deepStrictEqual(store.load().pending.map(i => i.id), ['a', 'b']);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(`${queuePath}.bak`, 'utf8')).pending.map(i => i.id), ['a']);
+  assert.ok(!fs.existsSync(`${queuePath}.lock`), 'lock released');
+});
+
+test('a corrupt queue is restored from .bak and the corrupt copy kept', () => {
+  const queuePath = tempQueuePath();
+  const logged = [];
+  const store = createQueueStore({ path: queuePath, log: message => logged.push(message) });
+  store.update(queue => queue.pending.push({ id: 'a' }));
+  store.update(queue => queue.pending.push({ id: 'b' }));
+
+  fs.writeFileSync(queuePath, '{"pending": [ {"id": "a"');
+
+  assert.deepStrictEqual(store.load().pending.map(i => i.id), ['a']);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(queuePath, 'utf8')).pending.map(i => i.id), ['a']);
+  const corrupt = fs.readdirSync(path.dirname(queuePath)).filter(name => name.startsWith('queue.json.corrupt-'));
+  assert.strictEqual(corrupt.length, 1);
+  assert.match(logged.join('\n'), /Recovered queue from/);
+});
+
+test('a file that is valid JSON but not a queue counts as corrupt', () => {
+  const queuePath = tempQueuePath();
+  const store = createQueueStore({ path: queuePath });
+  store.update(queue => queue.pending.push({ id: 'a' }));
+  store.update(queue => queue.pending.push({ id: 'b' }));
+
+  fs.writeFileSync(queuePath, '[]');
+
+  assert.deepStrictEqual(store.load().pending.map(i => i.id), ['a']);
+});
+
+test('a corrupt queue without a usable backup fails instead of starting empty', () => {
+  const queuePath = tempQueuePath();
+  const store = createQueueStore({ path: queuePath });
+  fs.writeFileSync(queuePath, 'not json');
+
+  assert.throws(() => store.load(), QueueStoreError);
+  assert.strictEqual(fs.readFileSync(queuePath, 'utf8'), 'not json');
+});
+
+test('a corrupt queue is never written over the backup', () => {
+  const queuePath = tempQueuePath();
+  const store = createQueueStore({ path: queuePath });
+  store.update(queue => queue.pending.push({ id: 'a' }));
+  store.update(queue => queue.pending.push({ id: 'b' }));
+  fs.writeFileSync(queuePath, 'not json');
+
+  store.save({ pending: [{ id: 'c' }], posted: [] });
+
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(`${queuePath}.bak`, 'utf8')).pending.map(i => i.id), ['a']);
+});
+
+test('the lock of a dead process is broken', () => {
+  const queuePath = tempQueuePath();
+  const { pid } = spawnSync(process.execPath, ['-e', '']);
+  writeLock(`${queuePath}.lock`, pid);
+
+  const store = createQueueStore({ path: queuePath, lockTimeoutMs: 200, staleLockMs: 60000 });
+  store.update(queue => queue.pending.push({ id: 'a' }));
+
+  assert.deepStrictEqual(store.load().pending.map(i => i.id), ['a']);
+  assert.ok(!fs.existsSync(`${queuePath}.lock`));
+});
+
+test('the lock of a live process is respected until it goes stale', () => {
+  const queuePath = tempQueuePath();
+  const lockPath = `${queuePath}.lock`;
+  writeLock(lockPath, process.pid);
+
+  const store = createQueueStore({ path: queuePath, lockTimeoutMs: 100, staleLockMs: 60000 });
+  assert.throws(() => store.update(() => {}), QueueStoreError);
+  assert.ok(fs.existsSync(lockPath), 'live lock left alone');
+
+  const past = new Date(Date.now() - 120000);
+  fs.utimesSync(lockPath, past, past);
+  store.update(queue => queue.pending.push({ id: 'a' }));
+  assert.deepStrictEqual(store.load().pending.map(i => i.id), ['a']);
+});
+
+test('acquireLock with timeoutMs 0 tries once', () => {
+  const lockPath = `${tempQueuePath()}.process.lock`;
+  assert.strictEqual(acquireLock(lockPath, { timeoutMs: 0, staleMs: Infinity }), true);
+  assert.strictEqual(acquireLock(lockPath, { timeoutMs: 0, staleMs: Infinity }), false);
+  releaseLock(lockPath);
+  assert.strictEqual(acquireLock(lockPath, { timeoutMs: 0, staleMs: Infinity }), true);
+  releaseLock(lockPath);
+});
+
+for (const backend of ['json', 'sqlite']) {
+  test(`nested update shares the outer queue (${backend})`, { skip: backend === 'sqlite' && !hasSqlite && 'node:sqlite needs Node 22.5+' }, () => {
+    const store = createQueueStore({ backend, path: tempQueuePath(backend === 'sqlite' ? 'queue.db' : 'queue.json') });
+
+    const inner = store.update(queue => {
+      queue.pending.push({ id: 'outer' });
+      return store.update(nested => {
+        assert.strictEqual(nested, queue);
+        nested.pending.push({ id: 'inner' });
+        return 'inner result';
+      });
+    });
+
+    assert.strictEqual(inner, 'inner result');
+    assert.deepStrictEqual(store.load().pending.map(i => i.id), ['outer', 'inner']);
+  });
+}
+
+test('a failed update saves nothing and releases the lock', () => {
+  const queuePath = tempQueuePath();
+  const store = createQueueStore({ path: queuePath });
+  store.update(queue => queue.pending.push({ id: 'a' }));
+
+  assert.throws(() => store.update(queue => {
+    queue.pending.push({ id: 'b' });
+    throw new Error('boom');
+  }), /boom/);
+
+  assert.deepStrictEqual(store.load().pending.map(i => i.id), ['a']);
+  assert.ok(!fs.existsSync(`${queuePath}.lock`));
+  store.update(queue => queue.pending.push({ id: 'c' }));
+  assert.deepStrictEqual(store.load().pending.map(i => i.id), ['a', 'c']);
+});
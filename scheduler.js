@@ -0,0 +1,232 @@
+/**
+ * Slot Scheduler
+ * Spreads queued items over posting slots in the configured IANA time zone
+ *
+ * A slot is one configured time of day on one calendar day in
+ * schedule.timezone. Each day uses weekday_times[<day>] when present,
+ * otherwise post_times, capped at posts_per_day. Days listed in
+ * blackout_dates have no slots. Every pending item occupies one slot.
+ */
+
+const DEFAULT_TIMEZONE = 'Asia/Bangkok';
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MAX_SEARCH_DAYS = 366 * 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatterCache = new Map();
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+// Wall-clock fields of an instant in a time zone
+function getZonedParts(instant, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(instant))) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+  };
+}
+
+// Offset of a time zone from UTC at a given instant, in milliseconds
+function getZoneOffsetMs(instant, timeZone) {
+  const p = getZonedParts(instant, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a time zone to a UTC instant (ms).
+ * Ambiguous times (DST fall-back) resolve to the first occurrence; times
+ * skipped by a DST jump are pushed forward by the length of the gap.
+ */
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const firstTry = guess - getZoneOffsetMs(guess, timeZone);
+  const result = guess - getZoneOffsetMs(firstTry, timeZone);
+
+  const check = getZonedParts(result, timeZone);
+  if (check.hour !== hour || check.minute !== minute) return firstTry;
+  return result;
+}
+
+function parseTime(timeStr) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(timeStr).trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`Invalid schedule time "${timeStr}", expected HH:MM`);
+  }
+  return { hour: Number(match[1]), minute: Number(match[2]) };
+}
+
+function formatDate(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Times of day for one calendar day, sorted and capped at posts_per_day
+function getTimesForDay(schedule, weekday, dateKey) {
+  if ((schedule.blackout_dates || []).includes(dateKey)) return [];
+
+  const weekdayTimes = schedule.weekday_times || {};
+  const dayName = WEEKDAYS[weekday];
+  const times = weekdayTimes[dayName] ?? schedule.post_times ?? [];
+
+  const sorted = times.map(parseTime).sort((a, b) => a.hour * 60 + a.minute - (b.hour * 60 + b.minute));
+  const limit = schedule.posts_per_day || sorted.length;
+  return sorted.slice(0, limit);
+}
+
+/**
+ * Iterate slot instants (ms) strictly after `from`, in order.
+ * @param {Object} schedule - config.settings.schedule
+ * @param {number} from - epoch ms
+ */
+function* iterateSlots(schedule, from) {
+  const timeZone = schedule.timezone || DEFAULT_TIMEZONE;
+  const start = getZonedParts(from, timeZone);
+  // Walk calendar days in the zone; noon UTC on that date keeps the day arithmetic DST-proof
+  let dayCursor = Date.UTC(start.year, start.month - 1, start.day, 12);
+
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++, dayCursor += DAY_MS) {
+    const date = new Date(dayCursor);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+
+    for (const { hour, minute } of getTimesForDay(schedule, date.getUTCDay(), formatDate(year, month, day))) {
+      const instant = zonedTimeToUtc(year, month, day, hour, minute, timeZone);
+      if (instant > from) yield instant;
+    }
+  }
+}
+
+// Items whose time was set by hand keep it during a reflow
+function isPinned(item) {
+  return item.pinned === true;
+}
+
+// #now items are posted on the next run and never take a slot.
+// Items queued before captions were transformed still carry the tag in their text.
+function isPostNow(item) {
+  return item.postNow === true || Boolean(item.postNow === undefined && item.text && item.text.includes('#now'));
+}
+
+/**
+ * Give every unscheduled pending item the next unoccupied slot.
+ * @returns {Object} map of item id -> ISO time for newly scheduled items
+ */
+function allocateSlots(queue, schedule, now = Date.now()) {
+  const occupied = new Set(queue.pending.filter(item => item.scheduledFor).map(item => Date.parse(item.scheduledFor)));
+  const assigned = {};
+  const slots = iterateSlots(schedule, now);
+
+  for (const item of queue.pending) {
+    if (item.scheduledFor || isPostNow(item)) continue;
+
+    let next = slots.next();
+    while (!next.done && occupied.has(next.value)) next = slots.next();
+    if (next.done) break;
+
+    occupied.add(next.value);
+    item.scheduledFor = new Date(next.value).toISOString();
+    assigned[item.id] = item.scheduledFor;
+  }
+  return assigned;
+}
+
+/**
+ * Re-pack future, unpinned items into the earliest free slots, keeping their
+ * order. Run after items leave the queue so later posts move up.
+ * @returns {Object} map of item id -> ISO time for items whose time changed
+ */
+function reflowSchedule(queue, schedule, now = Date.now()) {
+  const nowIso = new Date(now).toISOString();
+  const movable = queue.pending
+    .filter(item => !isPinned(item) && !isPostNow(item) && (!item.scheduledFor || item.scheduledFor > nowIso))
+    .sort((a, b) => (a.scheduledFor || '\uffff').localeCompare(b.scheduledFor || '\uffff') || a.addedAt.localeCompare(b.addedAt));
+
+  const previous = new Map(movable.map(item => [item.id, item.scheduledFor]));
+  movable.forEach(item => { item.scheduledFor = null; });
+  allocateSlots({ pending: [...queue.pending.filter(item => !movable.includes(item)), ...movable] }, schedule, now);
+
+  const changed = {};
+  for (const item of movable) {
+    if (item.scheduledFor !== previous.get(item.id)) changed[item.id] = item.scheduledFor;
+  }
+  return changed;
+}
+
+/**
+ * Read a time typed by a person: HH:MM (the next time the clock shows it),
+ * YYYY-MM-DD or YYYY-MM-DD HH:MM in timeZone, or anything Date.parse accepts
+ * with an explicit offset (ISO 8601).
+ * @returns {number|null} epoch ms, or null when the time cannot be read
+ */
+function parseTimeInput(input, timeZone = DEFAULT_TIMEZONE, now = Date.now()) {
+  const text = String(input).trim();
+  const clock = /^(\d{1,2}):(\d{2})$/.exec(text);
+  const dated = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2}))?$/.exec(text);
+
+  if (clock) {
+    const hour = Number(clock[1]);
+    const minute = Number(clock[2]);
+    if (hour > 23 || minute > 59) return null;
+    const today = getZonedParts(now, timeZone);
+    const ms = zonedTimeToUtc(today.year, today.month, today.day, hour, minute, timeZone);
+    if (ms > now) return ms;
+    const tomorrow = getZonedParts(now + DAY_MS, timeZone);
+    return zonedTimeToUtc(tomorrow.year, tomorrow.month, tomorrow.day, hour, minute, timeZone);
+  }
+  if (dated) {
+    const [year, month, day, hour = 0, minute = 0] = dated.slice(1).map(n => (n === undefined ? undefined : Number(n)));
+    if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59) return null;
+    return zonedTimeToUtc(year, month, day, hour, minute, timeZone);
+  }
+
+  const ms = Date.parse(text);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+// "YYYY-MM-DD HH:MM" in timeZone, for people to read
+function formatTimeInZone(iso, timeZone = DEFAULT_TIMEZONE) {
+  if (!iso) return 'unscheduled';
+  const p = getZonedParts(Date.parse(iso), timeZone);
+  return `${formatDate(p.year, p.month, p.day)} ${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+}
+
+// Next slot after `from`, ignoring occupancy
+function getNextSlot(schedule, from = Date.now()) {
+  const next = iterateSlots(schedule, from).next();
+  return next.done ? null : new Date(next.value).toISOString();
+}
+
+module.exports = {
+  WEEKDAYS,
+  getZonedParts,
+  zonedTimeToUtc,
+  parseTimeInput,
+  formatTimeInZone,
+  iterateSlots,
+  allocateSlots,
+  reflowSchedule,
+  getNextSlot,
+  isPostNow
+};
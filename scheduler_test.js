@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/**
+ * Scheduler tests
+ * Time-zone conversion across DST changes and slot allocation in scheduler.js
+ *
+ * Usage: node --test scheduler_test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { zonedTimeToUtc, allocateSlots, reflowSchedule, parseTimeInput, getNextSlot } = require('./scheduler.js');
+
+const iso = ms => new Date(ms).toISOString();
+
+function pendingItem(id, fields = {}) {
+  return { id, text: `Post ${id}`, addedAt: '2026-10-01T00:00:00.000Z', scheduledFor: null, ...fields };
+}
+
+test('zonedTimeToUtc converts wall-clock times in a fixed-offset zone', () => {
+  assert.strictEqual(iso(zonedTimeToUtc(2026, 10, 20, 9, 0, 'Asia/Bangkok')), '2026-10-20T02:00:00.000Z');
+  // Past midnight UTC the local date is a day ahead
+  assert.strictEqual(iso(zonedTimeToUtc(2026, 10, 21, 5, 30, 'Asia/Bangkok')), '2026-10-20T22:30:00.000Z');
+});
+
+test('zonedTimeToUtc follows daylight saving time', () => {
+  assert.strictEqual(iso(zonedTimeToUtc(2026, 1, 15, 9, 0, 'America/New_York')), '2026-01-15T14:00:00.000Z');
+  assert.strictEqual(iso(zonedTimeToUtc(2026, 7, 15, 9, 0, 'America/New_York')), '2026-07-15T13:00:00.000Z');
+  assert.strictEqual(iso(zonedTimeToUtc(2026, 7, 15, 9, 0, 'Europe/Berlin')), '2026-07-15T07:00:00.000Z');
+});
+
+test('a time skipped by the spring-forward jump moves forward by the gap', () => {
+  // 2026-03-08 02:30 does not exist in New York; 03:30 EDT does
+  assert.strictEqual(iso(zonedTimeToUtc(2026, 3, 8, 2, 30, 'America/New_York')), '2026-03-08T07:30:00.000Z');
+});
+
+test('a time repeated by the fall-back change resolves to its first occurrence', () => {
+  // 2026-11-01 01:30 happens at 05:30Z (EDT) and again at 06:30Z (EST)
+  assert.strictEqual(iso(zonedTimeToUtc(2026, 11, 1, 1, 30, 'America/New_York')), '2026-11-01T05:30:00.000Z');
+});
+
+test('slots keep their local time across a DST change', () => {
+  const schedule = { timezone: 'America/New_York', post_times: ['09:00'] };
+  const queue = { pending: ['a', 'b', 'c'].map(id => pendingItem(id)) };
+
+  const assigned = allocateSlots(queue, schedule, Date.parse('2026-03-07T12:00:00Z'));
+
+  assert.deepStrictEqual(assigned, {
+    a: '2026-03-07T14:00:00.000Z', // 09:00 EST
+    b: '2026-03-08T13:00:00.000Z', // 09:00 EDT
+    c: '2026-03-09T13:00:00.000Z'
+  });
+});
+
+test('items fill the remaining slots of the day, then spill into the next day', () => {
+  const schedule = { timezone: 'Asia/Bangkok', post_times: ['18:00', '09:00'], posts_per_day: 2 };
+  const queue = { pending: ['a', 'b', 'c'].map(id => pendingItem(id)) };
+
+  // 10:00 in Bangkok: today's 09:00 has passed
+  const assigned = allocateSlots(queue, schedule, Date.parse('2026-10-20T03:00:00Z'));
+
+  assert.deepStrictEqual(assigned, {
+    a: '2026-10-20T11:00:00.000Z',
+    b: '2026-10-21T02:00:00.000Z',
+    c: '2026-10-21T11:00:00.000Z'
+  });
+});
+
+test('slots already taken are skipped', () => {
+  const schedule = { timezone: 'Asia/Bangkok', post_times: ['09:00', '18:00'] };
+  const queue = {
+    pending: [
+      pendingItem('taken', { scheduledFor: '2026-10-20T11:00:00.000Z' }),
+      pendingItem('a'),
+      pendingItem('b')
+    ]
+  };
+
+  const assigned = allocateSlots(queue, schedule, Date.parse('2026-10-20T00:00:00Z'));
+
+  assert.deepStrictEqual(assigned, { a: '2026-10-20T02:00:00.000Z', b: '2026-10-21T02:00:00.000Z' });
+  assert.strictEqual(queue.pending[0].scheduledFor, '2026-10-20T11:00:00.000Z');
+});
+
+test('posts_per_day, weekday times and blackout dates shape the slots', () => {
+  const schedule = {
+    timezone: 'Asia/Bangkok',
+    post_times: ['09:00', '12:00', '18:00'],
+    posts_per_day: 2,
+    weekday_times: { wed: ['20:00'] },
+    blackout_dates: ['2026-10-22']
+  };
+  // Tuesday 2026-10-20, before any slot
+  const queue = { pending: ['a', 'b', 'c', 'd'].map(id => pendingItem(id)) };
+
+  const assigned = allocateSlots(queue, schedule, Date.parse('2026-10-19T20:00:00Z'));
+
+  assert.deepStrictEqual(assigned, {
+    a: '2026-10-20T02:00:00.000Z', // Tue 09:00
+    b: '2026-10-20T05:00:00.000Z', // Tue 12:00 (18:00 is past posts_per_day)
+    c: '2026-10-21T13:00:00.000Z', // Wed 20:00; Thu is blacked out
+    d: '2026-10-23T02:00:00.000Z' // Fri 09:00
+  });
+});
+
+test('#now items never take a slot', () => {
+  const schedule = { timezone: 'Asia/Bangkok', post_times: ['09:00'] };
+  const queue = { pending: [pendingItem('now', { postNow: true }), pendingItem('a')] };
+
+  const assigned = allocateSlots(queue, schedule, Date.parse('2026-10-20T00:00:00Z'));
+
+  assert.deepStrictEqual(assigned, { a: '2026-10-20T02:00:00.000Z' });
+  assert.strictEqual(queue.pending[0].scheduledFor, null);
+});
+
+test('reflow moves later items up into freed slots and leaves pinned ones alone', () => {
+  const schedule = { timezone: 'Asia/Bangkok', post_times: ['09:00', '18:00'] };
+  const queue = {
+    pending: [
+      // the 2026-10-20 09:00 item was removed
+      pendingItem('b', { scheduledFor: '2026-10-20T11:00:00.000Z' }),
+      pendingItem('pinned', { scheduledFor: '2026-10-21T02:00:00.000Z', pinned: true }),
+      pendingItem('c', { scheduledFor: '2026-10-21T11:00:00.000Z' })
+    ]
+  };
+
+  const changed = reflowSchedule(queue, schedule, Date.parse('2026-10-20T00:00:00Z'));
+
+  assert.deepStrictEqual(changed, { b: '2026-10-20T02:00:00.000Z', c: '2026-10-20T11:00:00.000Z' });
+  assert.strictEqual(queue.pending[1].scheduledFor, '2026-10-21T02:00:00.000Z');
+});
+
+test('reflow leaves items that are already due where they are', () => {
+  const schedule = { timezone: 'Asia/Bangkok', post_times: ['09:00', '18:00'] };
+  const queue = { pending: [pendingItem('due', { scheduledFor: '2026-10-19T11:00:00.000Z' })] };
+
+  assert.deepStrictEqual(reflowSchedule(queue, schedule, Date.parse('2026-10-20T00:00:00Z')), {});
+});
+
+test('the next slot rolls over to tomorrow after the last slot of the day', () => {
+  const schedule = { timezone: 'Asia/Bangkok', post_times: ['09:00', '18:00'] };
+  assert.strictEqual(getNextSlot(schedule, Date.parse('2026-10-20T11:00:00Z')), '2026-10-21T02:00:00.000Z');
+  // Crossing a month and year end
+  assert.strictEqual(getNextSlot(schedule, Date.parse('2026-12-31T12:00:00Z')), '2027-01-01T02:00:00.000Z');
+});
+
+test('parseTimeInput reads clock times, local dates and ISO times', () => {
+  const now = Date.parse('2026-10-20T03:00:00Z'); // 10:00 in Bangkok
+  assert.strictEqual(iso(parseTimeInput('18:00', 'Asia/Bangkok', now)), '2026-10-20T11:00:00.000Z');
+  assert.strictEqual(iso(parseTimeInput('09:00', 'Asia/Bangkok', now)), '2026-10-21T02:00:00.000Z');
+  assert.strictEqual(iso(parseTimeInput('2026-10-25 07:15', 'Asia/Bangkok', now)), '2026-10-25T00:15:00.000Z');
+  assert.strictEqual(iso(parseTimeInput('2026-10-25T07:15:00Z', 'Asia/Bangkok', now)), '2026-10-25T07:15:00.000Z');
+  assert.strictEqual(parseTimeInput('25:00', 'Asia/Bangkok', now), null);
+  assert.strictEqual(parseTimeInput('soon', 'Asia/Bangkok', now), null);
+});
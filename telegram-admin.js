@@ -0,0 +1,188 @@
+/**
+ * Telegram Admin Commands
+ * Lets admins manage the queue by messaging the bot
+ *
+ *   /queue [n]                 upcoming items with their times
+ *   /cancel <id> [destination] cancel an item (deletes it on Facebook when handed off)
+ *   /postnow <id>              publish an item right away
+ *   /reschedule <id> <time>    move an item; time is HH:MM, YYYY-MM-DD HH:MM
+ *                              (both in schedule.timezone) or ISO 8601
+ *   /retry <id>                retry a failed or dead item now
+ *   /pause, /resume            stop and restart publishing
+ *
+ * Admins are listed by Telegram user id in settings.telegram.admin_ids.
+ * Commands from anyone else are treated like any other message.
+ */
+
+const {
+  loadConfig,
+  loadQueue,
+  log,
+  logError,
+  sendTelegramMessage,
+  processScheduledPosts,
+  rescheduleItem,
+  cancelItem,
+  retryItem,
+  setPaused
+} = require('./index.js');
+const { parseTimeInput, formatTimeInZone: formatTime } = require('./scheduler.js');
+
+const DEFAULT_QUEUE_LIMIT = 10;
+const MAX_QUEUE_LIMIT = 30;
+const SNIPPET_LENGTH = 60;
+
+const USAGE = [
+  '/queue [n] - upcoming items',
+  '/cancel <id> [destination] - cancel an item',
+  '/postnow <id> - publish an item now',
+  '/reschedule <id> <time> - move an item (HH:MM, YYYY-MM-DD HH:MM or ISO 8601)',
+  '/retry <id> - retry a failed or dead item',
+  '/pause, /resume - stop or restart publishing'
+].join('\n');
+
+function getTimeZone(settings) {
+  return settings?.schedule?.timezone || 'Asia/Bangkok';
+}
+
+// "/reschedule@MyBot 123 18:30" -> { name: 'reschedule', args: ['123', '18:30'] }
+function parseCommand(text) {
+  const match = /^\/([a-z_]+)(?:@\w+)?(?:\s+([\s\S]*))?$/i.exec((text || '').trim());
+  if (!match) return null;
+  return { name: match[1].toLowerCase(), args: (match[2] || '').split(/\s+/).filter(Boolean) };
+}
+
+function isAdmin(message, settings) {
+  const adminIds = (settings?.telegram?.admin_ids || []).map(String);
+  return Boolean(message.from) && adminIds.includes(String(message.from.id));
+}
+
+// Whether a message is a known command sent by an admin
+function isAdminCommand(message, settings) {
+  const command = parseCommand(message.text);
+  return Boolean(command) && Object.hasOwn(COMMANDS, command.name) && isAdmin(message, settings);
+}
+
+function describeSender(message) {
+  const from = message.from || {};
+  return from.username ? `@${from.username}` : `${from.first_name || 'user'} (${from.id})`;
+}
+
+function listQueue(args, config) {
+  const timeZone = getTimeZone(config.settings);
+  const limit = Math.min(Number(args[0]) || DEFAULT_QUEUE_LIMIT, MAX_QUEUE_LIMIT);
+  const queue = loadQueue();
+  const items = [...queue.pending].sort((a, b) => {
+    if (!a.scheduledFor || !b.scheduledFor) return a.scheduledFor ? -1 : b.scheduledFor ? 1 : 0;
+    return a.scheduledFor.localeCompare(b.scheduledFor);
+  });
+
+  const lines = [];
+  if (queue.paused) lines.push(`⏸ Publishing paused${queue.paused.by ? ` by ${queue.paused.by}` : ''} since ${formatTime(queue.paused.at, timeZone)}`);
+  if ((queue.awaiting || []).length > 0) lines.push(`${queue.awaiting.length} awaiting approval`);
+  if (items.length === 0) {
+    lines.push('Queue is empty');
+    return lines.join('\n');
+  }
+
+  lines.push(`${items.length} pending (times in ${timeZone}):`);
+  for (const item of items.slice(0, limit)) {
+    const destinations = Object.entries(item.targets || {})
+      .map(([id, target]) => (target.status === 'pending' ? id : `${id}:${target.status}`))
+      .join(', ');
+    const text = (item.text || '').replace(/\s+/g, ' ');
+    const snippet = text.length > SNIPPET_LENGTH ? `${text.substring(0, SNIPPET_LENGTH)}…` : text;
+    lines.push(`\n${item.id}  ${formatTime(item.scheduledFor, timeZone)}  ${item.mediaType || 'text'}  → ${destinations || '-'}`);
+    if (snippet) lines.push(snippet);
+  }
+  if (items.length > limit) lines.push(`\n…and ${items.length - limit} more`);
+  return lines.join('\n');
+}
+
+async function cancel(args) {
+  const [id, destinationId] = args;
+  if (!id) return 'Usage: /cancel <id> [destination]';
+  const result = await cancelItem(id, destinationId);
+  return result.success ? `Cancelled ${id} on ${result.cancelled.join(', ')}` : result.message;
+}
+
+async function postNow(args) {
+  const [id] = args;
+  if (!id) return 'Usage: /postnow <id>';
+  const result = await rescheduleItem(id, new Date().toISOString());
+  if (!result.success) return result.message;
+
+  if (loadQueue().paused) return `${id} is due now and will post once the queue is resumed`;
+  // Publishing can take minutes (video uploads); reply without waiting for it
+  processScheduledPosts().catch(error => logError(`Publishing ${id} after /postnow failed`, error));
+  return `Posting ${id} now`;
+}
+
+async function reschedule(args, config) {
+  const [id, ...timeParts] = args;
+  if (!id || timeParts.length === 0) return 'Usage: /reschedule <id> <time>';
+  const timeZone = getTimeZone(config.settings);
+  const publishAtMs = parseTimeInput(timeParts.join(' '), timeZone);
+  if (publishAtMs === null) return `Cannot parse time "${timeParts.join(' ')}" (use HH:MM, YYYY-MM-DD HH:MM or ISO 8601)`;
+  if (publishAtMs <= Date.now()) return 'That time is in the past; use /postnow to publish right away';
+
+  const result = await rescheduleItem(id, new Date(publishAtMs).toISOString());
+  return result.success ? `Rescheduled ${id} to ${formatTime(result.item.scheduledFor, timeZone)}` : result.message;
+}
+
+function retry(args) {
+  const [id] = args;
+  if (!id) return 'Usage: /retry <id>';
+  const result = retryItem(id);
+  if (!result.success) return result.message;
+  return result.requeued ? `Requeued dead item ${id}` : `Retrying ${id} on ${result.retried.join(', ')} at the next run`;
+}
+
+const COMMANDS = {
+  queue: listQueue,
+  cancel,
+  postnow: postNow,
+  reschedule,
+  retry,
+  pause: (args, config, message) => {
+    setPaused(true, describeSender(message));
+    return 'Publishing paused. Items are still queued; /resume to continue';
+  },
+  resume: (args, config, message) => {
+    setPaused(false, describeSender(message));
+    return 'Publishing resumed';
+  },
+  help: () => USAGE,
+  start: () => USAGE
+};
+
+/**
+ * Run an admin command and reply in the chat it came from.
+ * @param {Object} message - Telegram message; check isAdminCommand() first
+ * @returns {Object} { ok, command, reply }
+ */
+async function handleAdminCommand(message) {
+  const config = loadConfig();
+  const command = parseCommand(message.text);
+  if (!command || !Object.hasOwn(COMMANDS, command.name) || !isAdmin(message, config.settings)) {
+    return { ok: false, reason: 'not_admin_command' };
+  }
+
+  log(`Admin command from ${describeSender(message)}: ${message.text.trim()}`);
+  let reply;
+  try {
+    reply = await COMMANDS[command.name](command.args, config, message);
+  } catch (error) {
+    logError(`Admin command /${command.name} failed`, error);
+    reply = `/${command.name} failed: ${error.message}`;
+  }
+
+  try {
+    await sendTelegramMessage(config, message.chat.id, reply, { reply_to_message_id: message.message_id });
+  } catch (error) {
+    logError(`Could not reply to /${command.name}`, error);
+  }
+  return { ok: true, command: command.name, reply };
+}
+
+module.exports = { parseCommand, isAdminCommand, handleAdminCommand };
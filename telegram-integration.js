@@ -4,53 +4,74 @@
  * Monitors Telegram groups and queues content for Facebook posting
  */
 
-const { addToQueue } = require('./index.js');
+const { addToQueue, prepareContentMedia, filterContent, recordRejection, logError } = require('./index.js');
+const { getMessageAuthor } = require('./caption-transform.js');
+const { extractTelegramMedia, hasPostableContent } = require('./telegram-media.js');
+const { getGraphBase } = require('./graph-api.js');
+const { sendPendingPreviews } = require('./telegram-moderation.js');
+const { buildTelegramLink } = require('./telegram-sync.js');
 
 /**
  * Process incoming Telegram message and add to queue
  * @param {Object} message - Telegram message object
  * @param {string} sourceChat - Source chat ID or name
+ * @returns {Promise<Object|null>} the queued item
  */
-function processTelegramMessage(message, sourceChat) {
+async function processTelegramMessage(message, sourceChat) {
   // Skip if no content
-  if (!message.text && !message.caption && !message.photo) {
+  if (!hasPostableContent(message)) {
     console.log('Skipping: No content');
     return null;
   }
   
   // Extract content
   const text = message.text || message.caption || '';
+  const sourceId = message.chat?.id?.toString();
   
-  // Check for skip patterns
-  const skipPatterns = ['#skip', '#draft', '#ignore'];
-  if (skipPatterns.some(pattern => text.toLowerCase().includes(pattern))) {
-    console.log('Skipping: Contains skip pattern');
+  // Determine media type
+  const media = extractTelegramMedia(message);
+  if (!media.ok) {
+    console.log(`Skipping: ${media.message}`);
+    recordRejection({ source: sourceChat, sourceId, text, mediaType: 'unknown' }, media, 'ingest');
     return null;
   }
   
-  // Determine media type
-  let mediaUrl = null;
-  let mediaType = 'text';
-  let telegramFileId = null;
+  const { mediaType, telegramFileId } = media;
   
-  if (message.photo && message.photo.length > 0) {
-    // Get the largest photo
-    const largestPhoto = message.photo[message.photo.length - 1];
-    telegramFileId = largestPhoto.file_id;
-    mediaUrl = largestPhoto.file_id; // Store file_id for reference
-    mediaType = 'image';
+  // Apply content filter
+  const verdict = filterContent({ source: sourceChat, sourceId, text, mediaType });
+  if (!verdict.allowed) {
+    console.log(`Skipping: ${verdict.message}`);
+    return null;
   }
+  const mediaUrl = telegramFileId; // Store file_id for reference
   
-  // Add to queue
-  const item = addToQueue({
+  const content = {
     source: sourceChat,
+    sourceId: sourceId,
     text: text,
+    entities: message.entities || message.caption_entities,
+    author: getMessageAuthor(message),
     mediaUrl: mediaUrl,
     mediaType: mediaType,
-    telegramFileId: telegramFileId
-  });
+    telegramFileId: telegramFileId,
+    fileUniqueId: media.fileUniqueId,
+    mimeType: media.mimeType,
+    fileSize: media.fileSize,
+    telegram: message.chat ? buildTelegramLink([message], message) : null
+  };
+
+  // Add to queue
+  const result = addToQueue(await prepareContentMedia(content));
+  
+  if (!result.success) {
+    console.log(`Not queued: ${result.message || result.reason || result.errors.join(', ')}`);
+    return null;
+  }
   
+  const item = result.item;
   console.log(`Queued: ${item.id} (${mediaType})`);
+  if (result.awaitingApproval) sendPendingPreviews().catch(error => logError('Moderation previews failed', error));
   return item;
 }
 
@@ -59,10 +80,10 @@ function processTelegramMessage(message, sourceChat) {
  */
 async function testFacebookConnection() {
   const config = require('./config.json').settings;
-  const { page_id, access_token, api_version } = config.facebook;
+  const { page_id, access_token } = config.facebook;
   
   try {
-    const response = await fetch(`https://graph.facebook.com/${api_version}/${page_id}?access_token=${access_token}&fields=name,id`);
+    const response = await fetch(`${getGraphBase(config.facebook)}/${page_id}?access_token=${access_token}&fields=name,id`);
     const data = await response.json();
     
     if (data.error) {
@@ -93,7 +114,7 @@ switch (command) {
     const messageJson = process.argv[3];
     const sourceChat = process.argv[4] || 'unknown';
     const message = JSON.parse(messageJson);
-    processTelegramMessage(message, sourceChat);
+    processTelegramMessage(message, sourceChat).catch(error => logError('Processing the message failed', error));
     break;
     
   default:
@@ -0,0 +1,84 @@
+/**
+ * Telegram Media Extraction
+ * Works out which file a Telegram message carries and whether we can post it
+ */
+
+// The cloud Bot API refuses getFile for anything larger than 20 MB.
+// A self-hosted Bot API server raises this to 2000 MB (settings.telegram.max_download_bytes).
+const TELEGRAM_DOWNLOAD_LIMIT = 20 * 1024 * 1024;
+
+// Map a MIME type to the queue media type, or null when Facebook can't take it
+function mediaTypeFromMime(mimeType) {
+  if (!mimeType) return null;
+  if (mimeType.startsWith('image/')) return 'image';
+  if (mimeType.startsWith('video/')) return 'video';
+  return null;
+}
+
+function formatMegabytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Extract the postable media from a Telegram message.
+ * @param {Object} message - Telegram message object
+ * @param {Object} [settings] - config.settings, used for telegram.max_download_bytes
+ * @returns {Object} { ok: true, mediaType, telegramFileId, fileUniqueId, fileSize, mimeType, fileName }
+ *   or { ok: false, reason, message } when the media can't be posted
+ */
+function extractTelegramMedia(message, settings = {}) {
+  const downloadLimit = Number(settings.telegram?.max_download_bytes || TELEGRAM_DOWNLOAD_LIMIT);
+  let media = null;
+
+  if (message.photo && message.photo.length > 0) {
+    // Get the largest photo (last one in array)
+    const largestPhoto = message.photo[message.photo.length - 1];
+    media = { mediaType: 'image', file: largestPhoto, mimeType: 'image/jpeg' };
+  } else if (message.video) {
+    media = { mediaType: 'video', file: message.video, mimeType: message.video.mime_type || 'video/mp4' };
+  } else if (message.animation) {
+    // Telegram converts GIFs to silent MP4 animations
+    media = { mediaType: 'video', file: message.animation, mimeType: message.animation.mime_type || 'video/mp4' };
+  } else if (message.document) {
+    const mediaType = mediaTypeFromMime(message.document.mime_type);
+    if (!mediaType) {
+      return {
+        ok: false,
+        reason: 'unsupported_document',
+        message: `Document type ${message.document.mime_type || 'unknown'} is not an image or video`
+      };
+    }
+    media = { mediaType, file: message.document, mimeType: message.document.mime_type };
+  }
+
+  if (!media) {
+    return { ok: true, mediaType: 'text', telegramFileId: null, fileUniqueId: null, fileSize: null, mimeType: null, fileName: null };
+  }
+
+  const fileSize = media.file.file_size || null;
+  if (fileSize && fileSize > downloadLimit) {
+    return {
+      ok: false,
+      reason: 'file_too_large',
+      message: `File is ${formatMegabytes(fileSize)}, above the Bot API download limit of ${formatMegabytes(downloadLimit)}`
+    };
+  }
+
+  return {
+    ok: true,
+    mediaType: media.mediaType,
+    telegramFileId: media.file.file_id,
+    // Same for a file however often it is forwarded, unlike file_id
+    fileUniqueId: media.file.file_unique_id || null,
+    fileSize,
+    mimeType: media.mimeType,
+    fileName: media.file.file_name || null
+  };
+}
+
+// Whether a message carries anything we could queue
+function hasPostableContent(message) {
+  return Boolean(message.text || message.caption || message.photo || message.video || message.animation || message.document);
+}
+
+module.exports = { TELEGRAM_DOWNLOAD_LIMIT, extractTelegramMedia, hasPostableContent };
@@ -0,0 +1,280 @@
+/**
+ * Telegram Moderation
+ * Optional approval stage between a source and the pending queue
+ *
+ * With settings.moderation.enabled, new items wait in queue.awaiting with
+ * status "awaiting_approval". The bot posts a preview to
+ * settings.moderation.chat_id with Approve / Edit / Reject buttons:
+ *   Approve  moves the item to pending and gives it slots
+ *   Edit     asks for a new caption; the moderator replies to that prompt
+ *   Reject   drops the item and records it in the rejected log
+ *
+ * Moderators are settings.moderation.moderator_ids plus
+ * settings.telegram.admin_ids. Who decided and when is kept in item.moderation.
+ */
+
+const {
+  loadConfig,
+  loadQueue,
+  log,
+  logError,
+  callTelegramApi,
+  updateAwaitingItem,
+  approveItem,
+  rejectItem,
+  editItem
+} = require('./index.js');
+const { formatTimeInZone } = require('./scheduler.js');
+const { formatMediaInfo } = require('./media-inspect.js');
+
+const CALLBACK_PREFIX = 'moderate';
+const MESSAGE_LIMIT = 4096;
+const CAPTION_LIMIT = 1024;
+
+function getModerationSettings(settings) {
+  return settings?.moderation || {};
+}
+
+function isModerator(user, settings) {
+  if (!user) return false;
+  const ids = [...(getModerationSettings(settings).moderator_ids || []), ...(settings?.telegram?.admin_ids || [])];
+  return ids.map(String).includes(String(user.id));
+}
+
+function describeUser(user) {
+  const fullName = [user.first_name, user.last_name].filter(Boolean).join(' ');
+  return { id: user.id, name: user.username ? `@${user.username}` : fullName || String(user.id) };
+}
+
+function describeMedia(item) {
+  if (item.media) return `album of ${item.media.length} photos`;
+  if (item.mediaInfo) return `${item.mediaType} (${formatMediaInfo(item.mediaInfo)})`;
+  return item.mediaType || 'text';
+}
+
+function truncate(text, limit) {
+  return text.length > limit ? `${text.substring(0, limit - 1)}…` : text;
+}
+
+function buildPreview(item, limit) {
+  const header = [
+    `📝 New post from ${item.source || 'unknown'}`,
+    `To: ${Object.keys(item.targets).join(', ')}`,
+    `Media: ${describeMedia(item)}`,
+    item.link && `Link: ${item.link}`,
+    `ID: ${item.id}`
+  ].filter(Boolean).join('\n');
+  if (!item.text) return header;
+  return `${header}\n\n${truncate(item.text, limit - header.length - 2)}`;
+}
+
+function buildKeyboard(id) {
+  return {
+    inline_keyboard: [[
+      { text: '✅ Approve', callback_data: `${CALLBACK_PREFIX}:approve:${id}` },
+      { text: '✏️ Edit', callback_data: `${CALLBACK_PREFIX}:edit:${id}` },
+      { text: '❌ Reject', callback_data: `${CALLBACK_PREFIX}:reject:${id}` }
+    ]]
+  };
+}
+
+// Send the preview as the media itself when Telegram still has it, else as text
+function sendPreview(item, config, chatId) {
+  const reply_markup = buildKeyboard(item.id);
+  if (!item.media && item.telegramFileId && item.mediaType === 'image') {
+    return callTelegramApi(config, 'sendPhoto', { chat_id: chatId, photo: item.telegramFileId, caption: buildPreview(item, CAPTION_LIMIT), reply_markup });
+  }
+  if (!item.media && item.telegramFileId && item.mediaType === 'video') {
+    return callTelegramApi(config, 'sendVideo', { chat_id: chatId, video: item.telegramFileId, caption: buildPreview(item, CAPTION_LIMIT), reply_markup });
+  }
+  return callTelegramApi(config, 'sendMessage', { chat_id: chatId, text: buildPreview(item, MESSAGE_LIMIT), reply_markup });
+}
+
+async function removeKeyboard(config, chatId, messageId) {
+  try {
+    await callTelegramApi(config, 'editMessageReplyMarkup', { chat_id: chatId, message_id: messageId, reply_markup: { inline_keyboard: [] } });
+  } catch (error) {
+    logError(`Could not remove buttons from message ${messageId}`, error);
+  }
+}
+
+async function sendPreviews() {
+  const config = loadConfig();
+  const chatId = getModerationSettings(config.settings).chat_id;
+  if (!chatId) {
+    log('settings.moderation.chat_id is not set; items awaiting approval get no preview', 'warn');
+    return 0;
+  }
+
+  let sent = 0;
+  const unsent = (loadQueue().awaiting || []).filter(item => !item.moderation?.previewMessageId);
+  for (const item of unsent) {
+    try {
+      const message = await sendPreview(item, config, chatId);
+      updateAwaitingItem(item.id, (q, current) => {
+        current.moderation = { ...current.moderation, chatId: String(chatId), previewMessageId: message.message_id };
+      });
+      sent++;
+    } catch (error) {
+      logError(`Could not send moderation preview for ${item.id}`, error);
+    }
+  }
+  return sent;
+}
+
+// Runs are chained so two callers never preview the same item twice
+let previewRun = Promise.resolve(0);
+
+/**
+ * Send a preview for every item awaiting approval that has none yet.
+ * @returns {Promise<number>} previews sent
+ */
+function sendPendingPreviews() {
+  previewRun = previewRun.catch(() => 0).then(sendPreviews);
+  return previewRun;
+}
+
+async function answer(config, callbackQuery, text) {
+  try {
+    await callTelegramApi(config, 'answerCallbackQuery', { callback_query_id: callbackQuery.id, text });
+  } catch (error) {
+    logError('Could not answer callback query', error);
+  }
+}
+
+/**
+ * Handle a press on one of the preview buttons.
+ * @param {Object} callbackQuery - Telegram callback_query
+ * @returns {Object} { ok, action, itemId } or { ok: false, reason }
+ */
+async function handleModerationCallback(callbackQuery) {
+  const config = loadConfig();
+  const [prefix, action, id] = (callbackQuery.data || '').split(':');
+  if (prefix !== CALLBACK_PREFIX || !id) return { ok: false, reason: 'unknown_callback' };
+
+  if (!isModerator(callbackQuery.from, config.settings)) {
+    await answer(config, callbackQuery, 'Only moderators can do that');
+    return { ok: false, reason: 'not_moderator' };
+  }
+
+  const moderator = describeUser(callbackQuery.from);
+  const preview = callbackQuery.message;
+  const timeZone = config.settings.schedule?.timezone || 'Asia/Bangkok';
+  let result;
+  let note;
+
+  if (action === 'approve') {
+    result = approveItem(id, moderator);
+    note = result.success && `✅ Approved by ${moderator.name}, scheduled for ${formatTimeInZone(result.item.scheduledFor, timeZone)}`;
+  } else if (action === 'reject') {
+    result = rejectItem(id, moderator);
+    note = result.success && `❌ Rejected by ${moderator.name}`;
+  } else if (action === 'edit') {
+    // Only prompt for an item a moderator has not already decided on
+    if (!(loadQueue().awaiting || []).some(item => item.id === id)) {
+      await answer(config, callbackQuery, `No item ${id} awaiting approval`);
+      return { ok: false, action, itemId: id, reason: 'not_found' };
+    }
+    let prompt;
+    try {
+      prompt = await callTelegramApi(config, 'sendMessage', {
+        chat_id: preview.chat.id,
+        text: `Reply to this message with the new caption for ${id}`,
+        reply_to_message_id: preview.message_id,
+        reply_markup: { force_reply: true, selective: true }
+      });
+    } catch (error) {
+      logError(`Could not send the edit prompt for ${id}`, error);
+      await answer(config, callbackQuery, 'Could not ask for the new caption, try again');
+      return { ok: false, action, itemId: id, reason: 'prompt_failed' };
+    }
+    result = updateAwaitingItem(id, (q, current) => {
+      current.moderation = { ...current.moderation, editPromptMessageId: prompt.message_id };
+      return { success: true };
+    }) || { success: false, reason: 'not_found', message: `No item ${id} awaiting approval` };
+    await answer(config, callbackQuery, result.success ? 'Send the new caption as a reply' : result.message);
+    return { ok: result.success, action, itemId: id, reason: result.reason };
+  } else {
+    return { ok: false, reason: 'unknown_callback' };
+  }
+
+  await answer(config, callbackQuery, result.success ? note : result.message);
+  if (preview) await removeKeyboard(config, preview.chat.id, preview.message_id);
+  if (result.success && preview) {
+    try {
+      await callTelegramApi(config, 'sendMessage', { chat_id: preview.chat.id, text: note, reply_to_message_id: preview.message_id });
+    } catch (error) {
+      logError(`Could not post the moderation decision for ${id}`, error);
+    }
+  }
+  return { ok: result.success, action, itemId: id, reason: result.reason };
+}
+
+function findEditedItem(message) {
+  const promptId = message.reply_to_message?.message_id;
+  if (!promptId) return null;
+  return (loadQueue().awaiting || []).find(item =>
+    item.moderation?.editPromptMessageId === promptId && item.moderation.chatId === String(message.chat.id)) || null;
+}
+
+// Whether a message is a moderator's reply to an edit prompt
+function isModerationReply(message, settings) {
+  return getModerationSettings(settings).enabled === true && isModerator(message.from, settings) && Boolean(findEditedItem(message));
+}
+
+/**
+ * Apply a moderator's new caption and post a fresh preview for it.
+ * @param {Object} message - reply to an edit prompt; check isModerationReply() first
+ */
+async function handleModerationReply(message) {
+  const config = loadConfig();
+  const item = findEditedItem(message);
+  if (!item) return { ok: false, reason: 'not_an_edit' };
+
+  const result = editItem(item.id, (message.text || '').trim(), describeUser(message.from));
+  if (!result.success) {
+    try {
+      await callTelegramApi(config, 'sendMessage', { chat_id: message.chat.id, text: `Caption not changed: ${result.message}`, reply_to_message_id: message.message_id });
+    } catch (error) {
+      logError(`Could not report the failed edit of ${item.id}`, error);
+    }
+    return { ok: false, reason: result.reason, itemId: item.id };
+  }
+
+  // The old preview shows the old caption; retire it and preview again
+  await removeKeyboard(config, message.chat.id, item.moderation.previewMessageId);
+  updateAwaitingItem(item.id, (q, current) => {
+    delete current.moderation.previewMessageId;
+    delete current.moderation.editPromptMessageId;
+  });
+  await sendPendingPreviews();
+  return { ok: true, action: 'edited', itemId: item.id };
+}
+
+module.exports = {
+  isModerator,
+  sendPendingPreviews,
+  handleModerationCallback,
+  isModerationReply,
+  handleModerationReply
+};
+
+// CLI
+if (require.main === module) {
+  const command = process.argv[2];
+
+  switch (command) {
+    case 'previews':
+      sendPendingPreviews().then(sent => console.log(`Sent ${sent} preview(s)`));
+      break;
+    case 'list':
+      const awaiting = loadQueue().awaiting || [];
+      if (awaiting.length === 0) console.log('Nothing awaiting approval');
+      awaiting.forEach(item => {
+        console.log(`${item.id}  ${item.source || '-'}  ${describeMedia(item)}  ${item.moderation?.previewMessageId ? 'previewed' : 'no preview'}: ${(item.text || '').substring(0, 60)}`);
+      });
+      break;
+    default:
+      console.log('Usage: node telegram-moderation.js [previews|list]');
+  }
+}
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/**
+ * Telegram Long-Polling Ingester for Facebook Auto-Post
+ * Pulls updates with getUpdates for deployments without a public URL
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig, getTelegramApiBase, classifyError, log, logError } = require('./index.js');
+const { processTelegramWebhook, flushPendingAlbums, restoreAlbumBuffers } = require('./telegram-webhook.js');
+
+const config = loadConfig();
+const settings = config.settings;
+
+const DEFAULT_OFFSET_PATH = path.join(__dirname, 'telegram-offset.json');
+const DEFAULT_POLL_TIMEOUT_SECONDS = 30;
+const DEFAULT_MIN_BACKOFF_MS = 1000;
+const DEFAULT_MAX_BACKOFF_MS = 60000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resolve polling options from config, falling back to defaults
+function getPollingOptions(overrides = {}) {
+  const polling = settings.telegram?.polling || {};
+  return {
+    apiBase: overrides.apiBase || getTelegramApiBase(config),
+    botToken: overrides.botToken || settings.telegram?.bot_token,
+    offsetPath: overrides.offsetPath || (polling.offset_path ? path.resolve(__dirname, polling.offset_path) : DEFAULT_OFFSET_PATH),
+    timeoutSeconds: Number(overrides.timeoutSeconds ?? polling.timeout_seconds ?? DEFAULT_POLL_TIMEOUT_SECONDS),
+    minBackoffMs: Number(overrides.minBackoffMs || polling.min_backoff_ms || DEFAULT_MIN_BACKOFF_MS),
+    maxBackoffMs: Number(overrides.maxBackoffMs || polling.max_backoff_ms || DEFAULT_MAX_BACKOFF_MS),
+    allowedUpdates: overrides.allowedUpdates || polling.allowed_updates || null
+  };
+}
+
+// Read the next update offset persisted by a previous run
+function loadOffset(offsetPath) {
+  try {
+    if (fs.existsSync(offsetPath)) {
+      const data = JSON.parse(fs.readFileSync(offsetPath, 'utf8'));
+      if (Number.isInteger(data.offset)) return data.offset;
+    }
+  } catch (e) {
+    logError(`Failed to read polling offset from ${offsetPath}`, e);
+  }
+  return null;
+}
+
+// Persist the next update offset (write + rename so a crash never leaves half a file)
+function saveOffset(offsetPath, offset) {
+  const tmpPath = `${offsetPath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify({ offset, updatedAt: new Date().toISOString() }));
+  fs.renameSync(tmpPath, offsetPath);
+}
+
+// Call getUpdates once; resolves with the Bot API response body
+async function fetchUpdates(options, offset, signal) {
+  const body = { timeout: options.timeoutSeconds };
+  if (offset !== null) body.offset = offset;
+  if (options.allowedUpdates) body.allowed_updates = options.allowedUpdates;
+
+  const res = await fetch(`${options.apiBase}/bot${options.botToken}/getUpdates`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal
+  });
+  const data = await res.json();
+
+  if (!data.ok) {
+    const error = new Error(`getUpdates failed: ${data.description || res.status}`);
+    error.code = data.error_code || res.status;
+    error.retryAfter = data.parameters?.retry_after;
+    throw error;
+  }
+  return data.result || [];
+}
+
+/**
+ * Start the getUpdates loop.
+ * The offset is saved after every handled update, so a restart resumes
+ * exactly after the last processed message. An update that fails with a
+ * transient error is fetched again after the backoff; one that fails for
+ * good is logged and skipped. Album parts acknowledged that
+ * way but not yet queued are kept on disk by the webhook handler and queued
+ * on the next start.
+ * @param {Object} [overrides] - apiBase, botToken, offsetPath, timeoutSeconds, minBackoffMs, maxBackoffMs
+ * @returns {{ stop: Function, done: Promise }}
+ */
+function startPolling(overrides = {}) {
+  const options = getPollingOptions(overrides);
+  if (!options.botToken || options.botToken.startsWith('${')) {
+    throw new Error('Telegram bot_token is required for polling');
+  }
+
+  let stopping = false;
+  let controller = null;
+  let offset = loadOffset(options.offsetPath);
+  restoreAlbumBuffers();
+
+  async function loop() {
+    let backoff = 0;
+    log(`Telegram polling started (${options.apiBase}, offset ${offset ?? 'none'})`);
+
+    while (!stopping) {
+      controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), (options.timeoutSeconds + 10) * 1000);
+
+      try {
+        const updates = await fetchUpdates(options, offset, controller.signal);
+        backoff = 0;
+
+        for (const update of updates) {
+          try {
+            const result = await processTelegramWebhook(update);
+            log(`Polled update ${update.update_id} processed: ${JSON.stringify(result)}`);
+          } catch (error) {
+            // Leave the offset on a transient failure so the backoff below fetches this update again
+            if (classifyError(error) === 'transient') {
+              throw new Error(`Polled update ${update.update_id} failed: ${error.message}`, { cause: error });
+            }
+            logError(`Polled update ${update.update_id} failed`, error);
+          }
+          offset = update.update_id + 1;
+          saveOffset(options.offsetPath, offset);
+          if (stopping) break;
+        }
+      } catch (error) {
+        if (stopping) break;
+
+        backoff = backoff ? Math.min(backoff * 2, options.maxBackoffMs) : options.minBackoffMs;
+        const wait = error.retryAfter ? error.retryAfter * 1000 : backoff;
+
+        if (error.code === 409) {
+          logError('getUpdates conflict: a webhook is set for this bot. Call deleteWebhook before polling.', error);
+        } else {
+          logError(`Telegram polling error, retrying in ${Math.round(wait / 1000)}s`, error);
+        }
+        await sleep(wait);
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    await flushPendingAlbums().catch(error => logError('Queueing buffered albums failed', error));
+    log('Telegram polling stopped');
+  }
+
+  const done = loop();
+
+  return {
+    done,
+    stop() {
+      stopping = true;
+      if (controller) controller.abort();
+      return done;
+    }
+  };
+}
+
+// CLI
+if (require.main === module) {
+  const command = process.argv[2] || 'start';
+
+  switch (command) {
+    case 'start':
+      try {
+        const poller = startPolling();
+        const shutdown = () => poller.stop().then(() => process.exit(0));
+        process.once('SIGINT', shutdown);
+        process.once('SIGTERM', shutdown);
+      } catch (e) {
+        console.error('Error:', e.message);
+        process.exit(1);
+      }
+      break;
+
+    case 'reset-offset':
+      const offsetPath = getPollingOptions().offsetPath;
+      if (fs.existsSync(offsetPath)) fs.unlinkSync(offsetPath);
+      console.log(`Removed ${offsetPath}`);
+      break;
+
+    default:
+      console.log(`
+Telegram Long-Polling Ingester
+
+Usage:
+  node telegram-polling.js [start]       Poll getUpdates and queue incoming messages
+  node telegram-polling.js reset-offset  Forget the saved update offset
+
+Polling and webhooks are mutually exclusive; remove a webhook first:
+  curl https://api.telegram.org/bot<TOKEN>/deleteWebhook
+      `);
+  }
+}
+
+module.exports = { startPolling, loadOffset, saveOffset };
@@ -0,0 +1,132 @@
+/**
+ * Telegram Sync
+ * Keeps queue items in step with the Telegram messages they came from
+ *
+ * Every item queued from Telegram carries item.telegram = { chatId,
+ * messageIds, captionMessageId, authorId }.
+ *   - An edited message updates the item's caption. Posts handed off to
+ *     Facebook are edited there; published posts only with
+ *     settings.sync.edit_published.
+ *   - A reply containing #delete, from the original author or an admin,
+ *     cancels the item, or deletes its published posts unless
+ *     settings.sync.delete_published is false.
+ */
+
+const {
+  loadConfig,
+  log,
+  getSyncSettings,
+  findItemsByTelegramMessage,
+  applySourceEdit,
+  cancelItem,
+  removeItem,
+  deletePublishedItem
+} = require('./index.js');
+const { transformCaption, getMessageAuthor } = require('./caption-transform.js');
+const { runWithLogContext } = require('./logger.js');
+
+const DELETE_TAG = /(^|\s)#delete(?![\p{L}\p{N}_])/iu;
+
+/**
+ * The link stored on items queued from these Telegram messages.
+ * @param {Object[]} messages - the message, or every part of an album item
+ * @param {Object} [captionMessage] - the message whose text the item carries
+ */
+function buildTelegramLink(messages, captionMessage) {
+  const first = captionMessage || messages[0];
+  const messageIds = messages.map(m => m.message_id);
+  if (captionMessage && !messageIds.includes(captionMessage.message_id)) messageIds.push(captionMessage.message_id);
+  return {
+    chatId: String(first.chat.id),
+    messageIds,
+    captionMessageId: captionMessage ? captionMessage.message_id : null,
+    authorId: first.from?.id ?? first.sender_chat?.id ?? null
+  };
+}
+
+function isDeleteRequest(message) {
+  return Boolean(message.reply_to_message) && DELETE_TAG.test(message.text || message.caption || '');
+}
+
+/**
+ * Update the items queued from an edited message.
+ * @param {Object} message - edited_message or edited_channel_post
+ * @returns {Object} { ok, items } with the outcome per item
+ */
+async function handleTelegramEdit(message) {
+  const settings = loadConfig().settings;
+  const matches = findItemsByTelegramMessage(message.chat.id, message.message_id)
+    // Only the message whose text became the caption; album parts without one don't count
+    .filter(({ item }) => item.telegram.captionMessageId === message.message_id);
+  if (matches.length === 0) return { ok: false, reason: 'not_queued' };
+
+  const originalText = message.text || message.caption || '';
+  const items = [];
+  for (const { item } of matches) {
+    const caption = transformCaption({
+      source: item.source,
+      sourceId: item.sourceId,
+      text: originalText,
+      entities: message.entities || message.caption_entities,
+      author: getMessageAuthor(message),
+      mediaType: item.mediaType
+    }, settings, Date.parse(item.addedAt));
+    const result = await runWithLogContext({ phase: 'sync', itemId: item.id, source: item.source },
+      () => applySourceEdit(item.id, caption.text, originalText));
+    items.push({ id: item.id, success: result.success, edited: result.edited, skipped: result.skipped, message: result.message });
+  }
+  return { ok: items.some(i => i.success), items };
+}
+
+function mayDelete(message, item, settings) {
+  const adminIds = (settings.telegram?.admin_ids || []).map(String);
+  const senderId = message.from?.id ?? message.sender_chat?.id;
+  if (senderId === undefined) return false;
+  return String(senderId) === String(item.telegram.authorId) || adminIds.includes(String(senderId));
+}
+
+// Carry out a #delete for one of the items queued from the message
+async function deleteMatchedItem(message, item, list, settings, sync) {
+  if (!mayDelete(message, item, settings)) {
+    log(`Ignoring #delete for ${item.id}: only its author or an admin may delete it`, 'warn');
+    return { id: item.id, success: false, reason: 'not_author' };
+  }
+
+  let result;
+  if (list === 'awaiting') {
+    result = await removeItem(item.id);
+  } else if (list === 'pending') {
+    result = await cancelItem(item.id);
+    // Destinations it already reached keep the item in posted
+    const published = Object.values(item.targets).some(target => target.status === 'posted');
+    if (result.success && published && sync.delete_published) result = await deletePublishedItem(item.id);
+  } else if (!sync.delete_published) {
+    result = { success: false, reason: 'delete_published_off', message: 'settings.sync.delete_published is off' };
+  } else {
+    result = await deletePublishedItem(item.id);
+    if (list === 'dead' && result.success) await removeItem(item.id);
+  }
+
+  log(`#delete for ${item.id} (${list}): ${result.success ? 'done' : result.message || result.reason}`);
+  return { id: item.id, list, success: result.success, reason: result.reason, skipped: result.skipped };
+}
+
+/**
+ * Cancel or delete the items queued from the message a #delete reply answers.
+ * @param {Object} message - the reply; check isDeleteRequest() first
+ */
+async function handleDeleteRequest(message) {
+  const config = loadConfig();
+  const sync = getSyncSettings(config.settings);
+  const matches = findItemsByTelegramMessage(message.chat.id, message.reply_to_message.message_id);
+  if (matches.length === 0) return { ok: false, reason: 'not_queued' };
+
+  const items = [];
+  for (const { item, list } of matches) {
+    items.push(await runWithLogContext({ phase: 'sync', itemId: item.id, source: item.source },
+      () => deleteMatchedItem(message, item, list, config.settings, sync)));
+  }
+  return { ok: items.some(i => i.success), items };
+}
+
+module.exports = { buildTelegramLink, isDeleteRequest, handleTelegramEdit, handleDeleteRequest };
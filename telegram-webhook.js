@@ -4,122 +4,566 @@
  * Receives messages from Telegram and queues them for Facebook
  */
 
-const { addToQueue } = require('./index.js');
-const config = require('./config.json').settings;
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const { addToQueue, prepareContentMedia, filterContent, recordRejection, loadConfig, log, logError, getHealthStatus } = require('./index.js');
+const { extractTelegramMedia } = require('./telegram-media.js');
+const { getMessageAuthor } = require('./caption-transform.js');
+const { isSourceAllowed, resolveDestinations } = require('./destinations.js');
+const { handlePublicMediaRequest } = require('./public-media.js');
+const { isAdminCommand, handleAdminCommand } = require('./telegram-admin.js');
+const { sendPendingPreviews, handleModerationCallback, isModerationReply, handleModerationReply } = require('./telegram-moderation.js');
+const { buildTelegramLink, isDeleteRequest, handleTelegramEdit, handleDeleteRequest } = require('./telegram-sync.js');
+const config = loadConfig().settings;
+
+const DEFAULT_WEBHOOK_PORT = 8080;
+const DEFAULT_WEBHOOK_PATH = '/webhook';
+const DEFAULT_MAX_BODY_BYTES = 1024 * 1024; // 1 MB, Telegram updates are far smaller
+const RECENT_UPDATE_LIMIT = 1000;
+const DEFAULT_ALBUM_WAIT_MS = 1500;
+// Buffered album parts are acknowledged to Telegram already, so they are kept
+// on disk until queued; the next run queues whatever a crash left there
+const ALBUM_BUFFER_PATH = path.join(__dirname, 'telegram-albums.json');
+
+// Album parts waiting for their siblings, keyed by media_group_id
+const albumBuffers = new Map();
+// Albums being queued right now (still on disk until that finishes)
+const flushingAlbums = new Map();
 
 // Process incoming webhook from Telegram
-function processTelegramWebhook(update) {
+async function processTelegramWebhook(update) {
   console.log('Received Telegram update:', JSON.stringify(update, null, 2));
   
+  // Approve / Edit / Reject buttons on moderation previews
+  if (update.callback_query) {
+    return handleModerationCallback(update.callback_query);
+  }
+  
+  // Fixes made in Telegram after the message was queued
+  const edited = update.edited_message || update.edited_channel_post;
+  if (edited) {
+    const editedChat = { chatId: edited.chat.id.toString(), title: edited.chat.title || edited.chat.username, username: edited.chat.username };
+    if (!isSourceAllowed(config, editedChat)) return { ok: false, reason: 'not_allowed', chat: editedChat.title || editedChat.chatId };
+    return handleTelegramEdit(edited);
+  }
+  
   // Check if it's a message
-  if (!update.message) {
+  const message = update.message || update.channel_post;
+  if (!message) {
     console.log('No message in update');
     return { ok: false, reason: 'no_message' };
   }
   
-  const message = update.message;
+  // Admin commands work from any chat, e.g. a private chat with the bot
+  if (isAdminCommand(message, config)) {
+    return handleAdminCommand(message);
+  }
+  
+  // A moderator's new caption for an item awaiting approval
+  if (isModerationReply(message, config)) {
+    return handleModerationReply(message);
+  }
+
   const chatId = message.chat.id.toString();
   const chatTitle = message.chat.title || message.chat.username || chatId;
   
-  // Check if this chat is in allowed sources
-  const allowedSources = config.telegram_sources || [];
-  const isAllowed = allowedSources.some(source => 
-    chatId === source || 
-    chatTitle === source ||
-    message.chat.username === source
-  );
+  // Check if this chat is in allowed sources (telegram_sources or a route)
+  const chat = { chatId, title: chatTitle, username: message.chat.username };
+  const isAllowed = isSourceAllowed(config, chat);
   
   if (!isAllowed) {
     console.log(`Chat ${chatTitle} (${chatId}) not in allowed list`);
     return { ok: false, reason: 'not_allowed', chat: chatTitle };
   }
   
+  // "#delete" in a reply takes the replied-to message back out of the queue (or off Facebook)
+  if (isDeleteRequest(message)) {
+    return handleDeleteRequest(message);
+  }
+  
+  // Albums arrive as one update per photo; collect them before queueing
+  if (message.media_group_id) {
+    return bufferAlbumPart(message, chatTitle, chatId, resolveDestinations(config, chat));
+  }
+  
   // Extract content
   const text = message.text || message.caption || '';
   
-  // Check for skip patterns
-  const skipPatterns = ['#skip', '#draft', '#ignore'];
-  if (skipPatterns.some(pattern => text.toLowerCase().includes(pattern))) {
-    console.log('Skipping: Contains skip pattern');
-    return { ok: false, reason: 'skipped' };
+  // Determine media type and get file_id
+  const media = extractTelegramMedia(message, config);
+  if (!media.ok) {
+    console.log(`Rejecting media: ${media.message}`);
+    recordRejection({ source: chatTitle, sourceId: chatId, text, mediaType: 'unknown' }, media, 'ingest');
+    return { ok: false, reason: media.reason, message: media.message };
   }
   
-  // Determine media type and get file_id
-  let mediaUrl = null;
-  let mediaType = 'text';
-  let telegramFileId = null;
+  const { mediaType, telegramFileId } = media;
   
-  if (message.photo && message.photo.length > 0) {
-    // Get the largest photo (last one in array)
-    const largestPhoto = message.photo[message.photo.length - 1];
-    telegramFileId = largestPhoto.file_id;
-    mediaType = 'image';
-    console.log(`Found image with file_id: ${telegramFileId}`);
+  // Apply content filter (skip patterns, include/exclude rules, lengths, media types)
+  const verdict = filterContent({ source: chatTitle, sourceId: chatId, text, mediaType });
+  if (!verdict.allowed) {
+    console.log(`Skipping: ${verdict.message}`);
+    return { ok: false, reason: verdict.reason, message: verdict.message };
   }
   
-  // Add to queue
-  const item = addToQueue({
+  if (telegramFileId) {
+    console.log(`Found ${mediaType} with file_id: ${telegramFileId}`);
+  }
+  
+  const content = {
     source: chatTitle,
+    sourceId: chatId,
+    destinations: resolveDestinations(config, chat),
     text: text,
+    entities: message.entities || message.caption_entities,
+    author: getMessageAuthor(message),
     mediaUrl: telegramFileId, // Store file_id as reference
     mediaType: mediaType,
-    telegramFileId: telegramFileId
-  });
-  
+    telegramFileId: telegramFileId,
+    fileUniqueId: media.fileUniqueId,
+    mimeType: media.mimeType,
+    fileSize: media.fileSize,
+    telegram: buildTelegramLink([message], message)
+  };
+
+  // Add to queue
+  const result = addToQueue(await prepareContentMedia(content));
+
+  if (!result.success) {
+    return { ok: false, reason: result.reason || 'invalid', message: result.message, errors: result.errors };
+  }
+
+  const item = result.item;
   console.log(`Queued item ${item.id} from ${chatTitle}`);
-  
-  return { 
-    ok: true, 
+  if (result.awaitingApproval) await sendPendingPreviews();
+
+  return {
+    ok: true,
     itemId: item.id,
     mediaType: mediaType,
-    scheduledFor: item.scheduledFor
+    destinations: Object.keys(item.targets),
+    scheduledFor: item.scheduledFor,
+    awaitingApproval: Boolean(result.awaitingApproval)
   };
 }
 
-// CLI for testing
-const command = process.argv[2];
-const arg = process.argv[3];
-
-switch (command) {
-  case 'test':
-    // Test with sample data
-    const testUpdate = {
-      message: {
-        chat: {
-          id: -1003720605580,
-          title: 'AI-Media'
-        },
-        text: 'Test message'
+// Queue the album once no part has arrived for album_wait_ms
+function scheduleAlbumFlush(groupId) {
+  const album = albumBuffers.get(groupId);
+  clearTimeout(album.timer);
+  album.timer = setTimeout(() => {
+    flushAlbum(groupId).catch(error => logError(`Queueing album ${groupId} failed`, error));
+  }, Number(config.telegram?.album_wait_ms || DEFAULT_ALBUM_WAIT_MS));
+}
+
+// Write buffered and in-flight albums to ALBUM_BUFFER_PATH (write + rename), or remove it when there are none
+function saveAlbumBuffers() {
+  const albums = [...flushingAlbums, ...albumBuffers].map(([groupId, { source, sourceId, destinations, messages }]) => ({
+    groupId, source, sourceId, destinations, messages
+  }));
+  if (albums.length === 0) {
+    fs.rmSync(ALBUM_BUFFER_PATH, { force: true });
+    return;
+  }
+  const tmpPath = `${ALBUM_BUFFER_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(albums));
+  fs.renameSync(tmpPath, ALBUM_BUFFER_PATH);
+}
+
+/**
+ * Buffer again the albums a previous run saved but never queued; they are
+ * queued after album_wait_ms unless more parts arrive first.
+ * @returns {number} albums restored
+ */
+function restoreAlbumBuffers() {
+  let albums;
+  try {
+    albums = JSON.parse(fs.readFileSync(ALBUM_BUFFER_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') logError(`Failed to read buffered albums from ${ALBUM_BUFFER_PATH}`, error);
+    return 0;
+  }
+
+  for (const { groupId, source, sourceId, destinations, messages } of albums) {
+    const album = albumBuffers.get(groupId);
+    if (album) {
+      album.messages.push(...messages.filter(m => !album.messages.some(part => part.message_id === m.message_id)));
+    } else {
+      albumBuffers.set(groupId, { source, sourceId, destinations, messages, timer: null });
+    }
+    scheduleAlbumFlush(groupId);
+  }
+  if (albums.length > 0) log(`Restored ${albums.length} buffered album(s) from the last run`);
+  return albums.length;
+}
+
+// Hold an album part until no sibling has arrived for album_wait_ms
+function bufferAlbumPart(message, source, sourceId, destinations) {
+  const groupId = message.media_group_id;
+
+  let album = albumBuffers.get(groupId);
+  if (!album) {
+    album = { source, sourceId, destinations, messages: [], timer: null };
+    albumBuffers.set(groupId, album);
+  }
+  album.messages.push(message);
+  saveAlbumBuffers();
+  scheduleAlbumFlush(groupId);
+
+  console.log(`Buffered album part ${album.messages.length} for media group ${groupId}`);
+  return { ok: true, buffered: true, mediaGroupId: groupId, parts: album.messages.length };
+}
+
+// Merge a buffered album into one queue item; it stays on disk until that is done
+async function flushAlbum(groupId) {
+  const album = albumBuffers.get(groupId);
+  if (!album) return null;
+  albumBuffers.delete(groupId);
+  clearTimeout(album.timer);
+  flushingAlbums.set(groupId, album);
+  try {
+    return await queueAlbum(groupId, album);
+  } finally {
+    flushingAlbums.delete(groupId);
+    saveAlbumBuffers();
+  }
+}
+
+async function queueAlbum(groupId, album) {
+  const messages = album.messages.sort((a, b) => a.message_id - b.message_id);
+  // Telegram puts the album caption on a single part, usually the first
+  const captionPart = messages.find(m => m.caption);
+  const text = captionPart ? captionPart.caption : '';
+  const captionFields = {
+    entities: captionPart ? captionPart.caption_entities : undefined,
+    author: getMessageAuthor(captionPart || messages[0])
+  };
+
+  const photos = [];
+  const photoParts = [];
+  const videos = [];
+  for (const part of messages) {
+    const media = extractTelegramMedia(part, config);
+    if (!media.ok) {
+      log(`Dropping album ${groupId} part ${part.message_id}: ${media.message}`, 'warn', { phase: 'ingest', source: album.source });
+      recordRejection({ source: album.source, sourceId: album.sourceId, text, mediaType: 'unknown' }, media, 'ingest');
+    } else if (media.mediaType === 'image') {
+      photos.push({ mediaType: 'image', telegramFileId: media.telegramFileId, fileUniqueId: media.fileUniqueId, mimeType: media.mimeType });
+      photoParts.push(part);
+    } else if (media.mediaType === 'video') {
+      videos.push({ ...media, part });
+    }
+  }
+
+  if (photos.length === 0 && videos.length === 0) {
+    log(`Album ${groupId} has no postable media, nothing to queue`, 'warn');
+    return { ok: false, reason: 'no_media', mediaGroupId: groupId };
+  }
+
+  // The caption decides for the whole album
+  const verdict = filterContent({ source: album.source, sourceId: album.sourceId, text, mediaType: photos.length > 0 ? 'image' : 'video' });
+  if (!verdict.allowed) {
+    log(`Skipping album ${groupId}: ${verdict.message}`, 'info', { phase: 'ingest', source: album.source });
+    return { ok: false, reason: verdict.reason, message: verdict.message, mediaGroupId: groupId };
+  }
+
+  // Multi-photo posts can't carry videos, so each video becomes its own post.
+  // The caption stays with the photos, or with the first video when there are none.
+  const entries = [];
+  if (photos.length > 0) {
+    entries.push({
+      text,
+      ...captionFields,
+      mediaUrl: photos[0].telegramFileId,
+      mediaType: 'image',
+      telegramFileId: photos[0].telegramFileId,
+      mimeType: photos[0].mimeType,
+      media: photos.length > 1 ? photos : null,
+      telegram: buildTelegramLink(photoParts, captionPart)
+    });
+  }
+  videos.forEach((video, index) => {
+    const carriesCaption = photos.length === 0 && index === 0;
+    entries.push({
+      ...(carriesCaption ? { text, ...captionFields } : { text: '', author: captionFields.author }),
+      mediaUrl: video.telegramFileId,
+      mediaType: 'video',
+      telegramFileId: video.telegramFileId,
+      fileUniqueId: video.fileUniqueId,
+      mimeType: video.mimeType,
+      fileSize: video.fileSize,
+      telegram: buildTelegramLink([video.part], carriesCaption ? captionPart : undefined)
+    });
+  });
+
+  const itemIds = [];
+  const failures = [];
+  let awaitingApproval = false;
+  for (const entry of entries) {
+    const content = { source: album.source, sourceId: album.sourceId, destinations: album.destinations, ...entry };
+    const result = addToQueue(await prepareContentMedia(content));
+    if (result.success) {
+      itemIds.push(result.item.id);
+      awaitingApproval = awaitingApproval || Boolean(result.awaitingApproval);
+    } else {
+      failures.push(result.message || result.reason || (result.errors || []).join(', '));
+    }
+  }
+
+  if (itemIds.length === 0) {
+    log(`Album ${groupId} not queued: ${failures.join('; ')}`, 'warn');
+    return { ok: false, reason: 'invalid', errors: failures, mediaGroupId: groupId };
+  }
+
+  log(`Queued album ${groupId} as item(s) ${itemIds.join(', ')} with ${photos.length} photo(s) and ${videos.length} video(s) from ${album.source}`, 'info', {
+    phase: 'ingest', source: album.source
+  });
+  if (awaitingApproval) sendPendingPreviews().catch(error => logError(`Moderation previews for album ${groupId} failed`, error));
+  return { ok: true, itemIds, mediaGroupId: groupId, photos: photos.length, videos: videos.length, awaitingApproval };
+}
+
+// Queue every buffered album right away (used on shutdown)
+function flushPendingAlbums() {
+  return Promise.all([...albumBuffers.keys()].map(flushAlbum));
+}
+
+// Compare secret tokens without leaking timing information
+function isValidSecretToken(received, expected) {
+  if (typeof received !== 'string') return false;
+  const a = Buffer.from(received);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Resolve webhook server options from config, falling back to defaults
+function getWebhookOptions(overrides = {}) {
+  const webhook = config.telegram?.webhook || {};
+  let secretToken = overrides.secretToken ?? webhook.secret_token;
+
+  // Unresolved ${ENV_VAR} placeholders count as "not configured"
+  if (typeof secretToken === 'string' && secretToken.startsWith('${')) {
+    secretToken = null;
+  }
+
+  return {
+    port: Number(overrides.port || webhook.port || DEFAULT_WEBHOOK_PORT),
+    path: overrides.path || webhook.path || DEFAULT_WEBHOOK_PATH,
+    secretToken: secretToken || null,
+    maxBodyBytes: Number(overrides.maxBodyBytes || webhook.max_body_bytes || DEFAULT_MAX_BODY_BYTES)
+  };
+}
+
+/**
+ * Create an HTTP server that accepts Telegram webhook updates.
+ * Updates are acknowledged immediately and processed one at a time in the
+ * background, so slow queue work never makes Telegram retry a delivery.
+ * @param {Object} [overrides] - port, path, secretToken, maxBodyBytes
+ * @returns {http.Server}
+ */
+function createWebhookServer(overrides = {}) {
+  const options = getWebhookOptions(overrides);
+  if (!options.secretToken) {
+    throw new Error('Webhook secret_token is required (settings.telegram.webhook.secret_token or TELEGRAM_WEBHOOK_SECRET)');
+  }
+
+  const pendingUpdates = [];
+  const recentUpdateIds = new Set();
+  let draining = false;
+
+  async function drainUpdates() {
+    draining = true;
+    while (pendingUpdates.length > 0) {
+      const update = pendingUpdates.shift();
+      try {
+        const result = await processTelegramWebhook(update);
+        log(`Webhook update ${update.update_id} processed: ${JSON.stringify(result)}`);
+      } catch (error) {
+        logError(`Webhook update ${update.update_id} failed`, error);
+      }
+    }
+    draining = false;
+  }
+
+  function enqueueUpdate(update) {
+    // Telegram redelivers when it misses our response; ignore repeats
+    if (update.update_id !== undefined) {
+      if (recentUpdateIds.has(update.update_id)) return;
+      recentUpdateIds.add(update.update_id);
+      if (recentUpdateIds.size > RECENT_UPDATE_LIMIT) {
+        recentUpdateIds.delete(recentUpdateIds.values().next().value);
+      }
+    }
+    pendingUpdates.push(update);
+    if (!draining) setImmediate(drainUpdates);
+  }
+
+  function reply(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    // Expose the health check alongside the webhook for uptime monitors
+    if (req.method === 'GET' && url.pathname === '/health' && config.features?.health_check !== false) {
+      let health;
+      try {
+        health = getHealthStatus(loadConfig({ exitOnError: false }));
+      } catch (error) {
+        logError('Health check failed', error);
+        health = { status: 'degraded', problems: [error.message] };
       }
-    };
-    const result = processTelegramWebhook(testUpdate);
-    console.log('Result:', result);
-    break;
-    
-  case 'process':
-    // Process actual webhook data
-    try {
-      const update = JSON.parse(arg);
-      const result = processTelegramWebhook(update);
-      console.log(JSON.stringify(result));
-    } catch (e) {
-      console.error('Error:', e.message);
-      process.exit(1);
+      return reply(res, health.status === 'healthy' ? 200 : 503, health);
     }
-    break;
-    
-  default:
-    console.log(`
+
+    // Staged media Instagram fetches while publishing
+    if (handlePublicMediaRequest(req, res, url)) return;
+
+    if (url.pathname !== options.path) {
+      return reply(res, 404, { ok: false, error: 'not_found' });
+    }
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      return reply(res, 405, { ok: false, error: 'method_not_allowed' });
+    }
+    if (!isValidSecretToken(req.headers['x-telegram-bot-api-secret-token'], options.secretToken)) {
+      log(`Rejected webhook request with invalid secret token from ${req.socket.remoteAddress}`, 'warn');
+      return reply(res, 401, { ok: false, error: 'unauthorized' });
+    }
+
+    const declaredLength = Number(req.headers['content-length'] || 0);
+    if (declaredLength > options.maxBodyBytes) {
+      req.resume();
+      return reply(res, 413, { ok: false, error: 'payload_too_large' });
+    }
+
+    const chunks = [];
+    let received = 0;
+    let aborted = false;
+
+    req.on('data', chunk => {
+      if (aborted) return;
+      received += chunk.length;
+      if (received > options.maxBodyBytes) {
+        aborted = true;
+        reply(res, 413, { ok: false, error: 'payload_too_large' });
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (aborted) return;
+      let update;
+      try {
+        update = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch (e) {
+        return reply(res, 400, { ok: false, error: 'invalid_json' });
+      }
+      if (!update || typeof update !== 'object') {
+        return reply(res, 400, { ok: false, error: 'invalid_update' });
+      }
+
+      reply(res, 200, { ok: true });
+      enqueueUpdate(update);
+    });
+  });
+
+  server.webhookOptions = options;
+  return server;
+}
+
+// Start the webhook server and stop it cleanly on SIGINT/SIGTERM
+function startWebhookServer(overrides = {}) {
+  const server = createWebhookServer(overrides);
+  const { port, path } = server.webhookOptions;
+  restoreAlbumBuffers();
+
+  server.listen(port, () => {
+    log(`Telegram webhook server listening on port ${port} at ${path}`);
+  });
+
+  const shutdown = () => {
+    log('Shutting down webhook server');
+    flushPendingAlbums()
+      .catch(error => logError('Queueing buffered albums failed', error))
+      .finally(() => server.close(() => process.exit(0)));
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+
+  return server;
+}
+
+// CLI for testing
+if (require.main === module) {
+  const command = process.argv[2];
+  const arg = process.argv[3];
+
+  switch (command) {
+    case 'test':
+      // Test with sample data
+      const testUpdate = {
+        message: {
+          chat: {
+            id: -1003720605580,
+            title: 'AI-Media'
+          },
+          text: 'Test message'
+        }
+      };
+      processTelegramWebhook(testUpdate).then(result => console.log('Result:', result));
+      break;
+
+    case 'process':
+      // Process actual webhook data
+      try {
+        const update = JSON.parse(arg);
+        processTelegramWebhook(update).then(result => console.log(JSON.stringify(result))).catch(e => {
+          console.error('Error:', e.message);
+          process.exit(1);
+        });
+      } catch (e) {
+        console.error('Error:', e.message);
+        process.exit(1);
+      }
+      break;
+
+    case 'serve':
+      // Run the HTTP webhook server
+      try {
+        startWebhookServer({ port: arg });
+      } catch (e) {
+        console.error('Error:', e.message);
+        process.exit(1);
+      }
+      break;
+
+    default:
+      console.log(`
 Telegram Webhook Handler
 
 Usage:
   node telegram-webhook.js test              Test with sample data
   node telegram-webhook.js process '<json>'  Process webhook JSON
+  node telegram-webhook.js serve [port]      Run the webhook HTTP server
 
 To set up webhook:
-  curl -F "url=https://YOUR_SERVER/webhook" \
+  curl -F "url=https://YOUR_SERVER/webhook" \\
+    -F "secret_token=YOUR_WEBHOOK_SECRET" \\
     https://api.telegram.org/bot<TOKEN>/setWebhook
-    `);
+
+To test the server locally:
+  curl -X POST http://localhost:8080/webhook \\
+    -H "Content-Type: application/json" \\
+    -H "X-Telegram-Bot-Api-Secret-Token: YOUR_WEBHOOK_SECRET" \\
+    -d '{"update_id":1,"message":{"chat":{"id":-1001234567890,"title":"AI-Media"},"text":"Hello"}}'
+      `);
+  }
 }
 
-module.exports = { processTelegramWebhook };
+module.exports = { processTelegramWebhook, flushPendingAlbums, restoreAlbumBuffers, createWebhookServer, startWebhookServer };
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * Webhook server tests
+ * Runs telegram-webhook.js serve from a copy of the project in a temporary
+ * directory, so its queue and config never touch the real ones
+ *
+ * Usage: node --test telegram_webhook_test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { spawn } = require('child_process');
+
+const PORT = 18555;
+
+function copyProject() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-test-'));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const name of fs.readdirSync(__dirname)) {
+    if (name.endsWith('.js') && !name.endsWith('_test.js')) fs.copyFileSync(path.join(__dirname, name), path.join(dir, name));
+  }
+  fs.copyFileSync(path.join(__dirname, 'config.template.json'), path.join(dir, 'config.json'));
+  return dir;
+}
+
+// Start the server and resolve once it listens
+function serve(dir) {
+  const child = spawn(process.execPath, ['telegram-webhook.js', 'serve', String(PORT)], {
+    cwd: dir,
+    env: { ...process.env, TELEGRAM_WEBHOOK_SECRET: 'test-secret' },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  test.after(() => child.exitCode === null && child.kill());
+  return new Promise((resolve, reject) => {
+    let output = '';
+    const collect = chunk => {
+      output += chunk;
+      if (output.includes('webhook server listening')) resolve(child);
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+    child.once('exit', code => reject(new Error(`server exited with ${code}:\n${output}`)));
+  });
+}
+
+function get(pathname) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: PORT, path: pathname }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    }).on('error', reject);
+  });
+}
+
+test('/health reports a corrupt queue as degraded and the server keeps running', async () => {
+  const dir = copyProject();
+  fs.writeFileSync(path.join(dir, 'queue.json'), 'not json');
+  const child = await serve(dir);
+
+  const health = await get('/health');
+
+  assert.strictEqual(health.status, 503);
+  assert.strictEqual(health.body.status, 'degraded');
+  assert.match(health.body.problems[0], /queue/i);
+  assert.strictEqual(child.exitCode, null, 'server still running');
+  assert.strictEqual((await get('/health')).status, 503);
+});